@@ -1,3 +1,5 @@
+import { canonicalGtin, gtinKey, gtinRepairs } from "./gtin.js";
+
 let app;
 
 /**
@@ -25,7 +27,7 @@ async function waitForQuagga(timeoutMs = 8000) {
   throw new Error("Quagga failed to load in time");
 }
 
-/** @typedef {{title:string, price:number, condition?:string, url?:string, source?:string}} PriceRow */
+/** @typedef {{title:string, price:number, currency?:string, shipping?:number, total?:number, original_price?:number, original_currency?:string, condition?:string, when_made?:string, url?:string, source?:string, sold_at?:string, relevance?:number, excluded_reason?:string|null, is_lot?:boolean, lot_size?:number|null, lot_price?:number, condition_bucket?:string}} PriceRow */
 /**
  * Quiet-by-default logger:
  * - console always logs locally
@@ -138,64 +140,315 @@ Logger.initDebugFlag();
 /* ---------- GTIN validation / normalization --------------------------- */
 
 /**
- * Validate GTIN-8/12/13/14 using the standard mod-10 checksum.
- */
-function isValidGTIN(code) {
-  const s = String(code || "").replace(/\D/g, "");
-  const L = s.length;
-  if (L !== 8 && L !== 12 && L !== 13 && L !== 14) return false;
-  const digits = s.split("").map(Number);
-  const check = digits.pop();
-  let sum = 0,
-    mul = 3;
-  for (let i = digits.length - 1; i >= 0; i--) {
-    sum += digits[i] * mul;
-    mul = mul === 3 ? 1 : 3;
-  }
-  const cd = (10 - (sum % 10)) % 10;
-  return cd === check;
-}
-
-/**
- * Accept a scanned barcode only if it passes checksum.
- * Prefer UPC-A/EAN-13; allow EAN-8 but de-prioritize.
- * Returns the normalized numeric string or null.
+ * Accept a scanned barcode only if it is a valid GTIN (see gtin.js).
+ * Returns the retail form (UPC-E expanded to UPC-A, padding dropped) or null.
+ * @param {string} raw
+ * @param {string} [format] format reported by the scanner, e.g. "upc_e"
  */
-function acceptScannedCode(raw) {
-  const s = String(raw || "").replace(/\D/g, "");
-  if (!isValidGTIN(s)) return null;
-  if (s.length >= 12) return s; // UPC-A / EAN-13 / GTIN-14
-  return s.length === 8 ? s : null; // EAN-8 (okay, but not preferred)
+function acceptScannedCode(raw, format) {
+  return canonicalGtin(raw, format);
 }
 
+/** Scanner engines *******************************************************/
 /**
- * Normalize manually entered UPC/EAN (strip, pad common cases).
- * For UPC-A vs EAN-13 with leading 0, keep the 12-digit UPC when possible.
+ * What every scanner engine shares: checksum gating, multi-frame consensus and repeat
+ * suppression for hits, the success flash/vibrate, and torch/zoom on the active camera track.
+ * Subclasses implement init(deviceId) and stop(), and call _frame(raw, error, format) once
+ * per processed frame ("" when nothing was read).
  */
-function normalizeInputCode(raw) {
-  const s = String(raw || "").replace(/\D/g, "");
-  if (s.length === 13 && s.startsWith("0")) return s.slice(1);
-  return s;
-}
+class ScannerEngine {
+  static REPEAT_MS = 1200;
+  // Consensus: a code is accepted once it is read in K of the last N frames
+  static CONSENSUS_K = 3;
+  static CONSENSUS_N = 5;
+  // Reads whose median per-character decode error is above this are ignored
+  static MAX_CHAR_ERROR = 0.1;
 
-/** Quagga Wrapper *******************************************************/
-class QuaggaWrapper {
   /**
    * @param {HTMLElement} videoWrap
    */
   constructor(videoWrap) {
     this.videoWrap = videoWrap;
+    this.name = "engine";
     this.active = false;
-    this.eventsAttached = false;
-    this._onDetected = null;
-    this._onProcessed = null;
     this.currentTrack = null;
     this.currentDeviceId = null;
     this.torchOn = false;
     this.zoom = 1;
+    /** @type {((code: string) => void)|null} */
     this.onHit = null;
     this._lastCode = "";
     this._lastAt = 0;
+    /** Require CONSENSUS_K of CONSENSUS_N frames; off accepts the first valid read */
+    this.consensus = true;
+    /** @type {(string|null)[]} codes read in the most recent frames, null for none */
+    this._votes = [];
+    this._band = videoWrap.querySelector(".scan-band");
+  }
+
+  /**
+   * Feed one processed frame into the consensus window.
+   * @param {string} raw decoded value, or "" when the frame had no read
+   * @param {number} [error] median per-character decode error, when the engine reports one
+   * @param {string} [format] barcode format, which settles whether 8 digits are UPC-E or EAN-8
+   */
+  _frame(raw, error, format) {
+    let code = raw ? acceptScannedCode(raw, format) : null;
+    if (code && typeof error === "number" && error > ScannerEngine.MAX_CHAR_ERROR) {
+      Logger.info("low-confidence read ignored", { code, error });
+      code = null;
+    }
+    if (!this.consensus) {
+      if (code) this._hit(code);
+      return;
+    }
+
+    this._votes.push(code);
+    if (this._votes.length > ScannerEngine.CONSENSUS_N) this._votes.shift();
+    if (code && this._votes.filter((c) => c === code).length >= ScannerEngine.CONSENSUS_K) {
+      this._resetVotes();
+      this._hit(code);
+      return;
+    }
+
+    // Progress of the leading candidate, for the scan band
+    const counts = new Map();
+    for (const c of this._votes) if (c) counts.set(c, (counts.get(c) || 0) + 1);
+    this._showLock(counts.size ? Math.max(...counts.values()) : 0);
+  }
+
+  _resetVotes() {
+    this._votes = [];
+    this._showLock(0);
+  }
+
+  /**
+   * "Locking on" feedback: the scan band fills as the leading code gathers votes.
+   * @param {number} votes
+   */
+  _showLock(votes) {
+    if (!this._band) return;
+    const k = ScannerEngine.CONSENSUS_K;
+    this._band.classList.toggle("locking", votes > 0);
+    this._band.style.setProperty("--lock", String(Math.min(votes, k) / k));
+    this._band.dataset.lock = votes > 0 ? `Locking on… ${votes}/${k}` : "";
+  }
+
+  /**
+   * Pass an accepted code on to onHit, dropping repeats of the last hit.
+   * @param {string} code
+   * @returns {boolean} whether it was passed on to onHit
+   */
+  _hit(code) {
+    const now = Date.now();
+    if (code === this._lastCode && now - this._lastAt < ScannerEngine.REPEAT_MS)
+      return false;
+    this._lastCode = code;
+    this._lastAt = now;
+    Logger.info("barcode detected", { code, engine: this.name });
+    this.flash();
+    try {
+      if (navigator.vibrate) navigator.vibrate(150);
+    } catch (_) {}
+    if (this.onHit) this.onHit(code);
+    return true;
+  }
+
+  /**
+   * Take over a live camera track: size the preview to it and apply torch/zoom.
+   * @param {MediaStreamTrack} track
+   */
+  async _adoptTrack(track) {
+    this.currentTrack = track;
+    this.zoom = 2;
+
+    const s = (track.getSettings && track.getSettings()) || {};
+    if (s.width && s.height) {
+      this.videoWrap.style.setProperty("--aspect", `${s.width} / ${s.height}`);
+      this.videoWrap.style.setProperty("--aspect-inv", `${s.height} / ${s.width}`);
+    }
+
+    await this.applyTrackConstraints();
+  }
+
+  async applyTrackConstraints() {
+    if (!this.currentTrack) return;
+    const caps = this.currentTrack.getCapabilities
+      ? this.currentTrack.getCapabilities()
+      : {};
+    const cons = { advanced: [] };
+    if (caps.torch) cons.advanced.push({ torch: this.torchOn });
+    if (
+      typeof caps.zoom === "number" ||
+      (caps.zoom && typeof caps.zoom.max === "number")
+    )
+      cons.advanced.push({ zoom: this.zoom });
+    try {
+      await this.currentTrack.applyConstraints(cons);
+      Logger.info("applied constraints", cons);
+    } catch (e) {
+      Logger.warn("applyConstraints failed", String(e));
+    }
+  }
+
+  flash() {
+    this.videoWrap.classList.add("ok-flash");
+    setTimeout(() => {
+      this.videoWrap.classList.remove("ok-flash");
+    }, 220);
+  }
+
+  async toggleTorch() {
+    this.torchOn = !this.torchOn;
+    await this.applyTrackConstraints();
+  }
+  async zoomIn() {
+    this.zoom = (this.zoom || 1) + 0.5;
+    await this.applyTrackConstraints();
+  }
+  async zoomOut() {
+    this.zoom = Math.max(1, (this.zoom || 1) - 0.5);
+    await this.applyTrackConstraints();
+  }
+}
+
+/**
+ * The browser's BarcodeDetector (Chrome/Android, Safari 17+ on macOS). Reads small, curved
+ * hang-tag UPCs far better than Quagga, so it is preferred wherever it handles retail codes.
+ */
+class NativeBarcodeEngine extends ScannerEngine {
+  static FORMATS = ["ean_13", "upc_a", "upc_e", "ean_8"];
+  static INTERVAL_MS = 66; // ~15 fps, like Quagga's frequency
+  // Only codes centred in the scan band count, matching Quagga's locate area
+  static BAND = { top: 0.3, bottom: 0.7 };
+
+  /**
+   * True when BarcodeDetector exists and decodes EAN-13, UPC-A and UPC-E.
+   * @returns {Promise<boolean>}
+   */
+  static async isSupported() {
+    const BD = /** @type {any} */ (window).BarcodeDetector;
+    if (!BD || typeof BD.getSupportedFormats !== "function") return false;
+    try {
+      const formats = await BD.getSupportedFormats();
+      return ["ean_13", "upc_a", "upc_e"].every((f) => formats.includes(f));
+    } catch (_) {
+      return false;
+    }
+  }
+
+  constructor(videoWrap) {
+    super(videoWrap);
+    this.name = "native";
+    this.stream = null;
+    this.video = null;
+    this.detector = null;
+    this._timer = null;
+  }
+
+  /**
+   * Open the camera ourselves and poll BarcodeDetector on the preview.
+   * @param {string|null} deviceId
+   */
+  async init(deviceId) {
+    const BD = /** @type {any} */ (window).BarcodeDetector;
+    const supported = await BD.getSupportedFormats();
+    this.detector = new BD({
+      formats: NativeBarcodeEngine.FORMATS.filter((f) => supported.includes(f)),
+    });
+    this.currentDeviceId = deviceId || null;
+
+    Logger.info("BarcodeDetector init begin", { deviceId: this.currentDeviceId });
+    this.stream = await navigator.mediaDevices.getUserMedia({
+      audio: false,
+      video: {
+        deviceId: this.currentDeviceId ? { exact: this.currentDeviceId } : undefined,
+        facingMode: this.currentDeviceId ? undefined : "environment",
+        width: { ideal: 1280 },
+        height: { ideal: 720 },
+      },
+    });
+
+    const video = document.createElement("video");
+    video.setAttribute("playsinline", "");
+    video.muted = true;
+    video.srcObject = this.stream;
+    this.videoWrap.prepend(video);
+    this.video = video;
+    await video.play();
+    this.active = true;
+
+    const track = this.stream.getVideoTracks()[0];
+    if (track) {
+      try {
+        await this._adoptTrack(track);
+      } catch (e) {
+        Logger.warn("No track capabilities", String(e));
+      }
+    }
+
+    this._loop();
+    Logger.info("BarcodeDetector started", { deviceId: this.currentDeviceId });
+  }
+
+  async _loop() {
+    if (!this.active) return;
+    try {
+      if (this.video && this.video.readyState >= 2) {
+        const found = await this.detector.detect(this.video);
+        const h = this.video.videoHeight || 1;
+        const { top, bottom } = NativeBarcodeEngine.BAND;
+        const inBand = found.filter((b) => {
+          const box = b.boundingBox;
+          const cy = box ? (box.top + box.height / 2) / h : 0.5;
+          return cy >= top && cy <= bottom && acceptScannedCode(b.rawValue, b.format);
+        });
+        // BarcodeDetector reports no confidence, so consensus alone guards against misreads
+        const b = inBand[0];
+        this._frame(b ? b.rawValue : "", undefined, b && b.format);
+      }
+    } catch (e) {
+      Logger.warn("BarcodeDetector detect failed", String(e));
+    }
+    if (this.active)
+      this._timer = setTimeout(() => this._loop(), NativeBarcodeEngine.INTERVAL_MS);
+  }
+
+  stop() {
+    this.active = false;
+    clearTimeout(this._timer);
+    this._timer = null;
+    try {
+      if (this.stream) this.stream.getTracks().forEach((t) => t.stop());
+    } catch (_) {}
+    if (this.video) this.video.remove();
+    this.stream = null;
+    this.video = null;
+    this.currentTrack = null;
+    this._resetVotes();
+    Logger.info("BarcodeDetector stopped", null);
+  }
+}
+
+/** Quagga2 (CDN script), for browsers without a usable BarcodeDetector. */
+class QuaggaWrapper extends ScannerEngine {
+  static READERS = [
+    "ean_reader",
+    "ean_8_reader",
+    "upc_reader",
+    "upc_e_reader",
+    "code_128_reader",
+  ];
+
+  /**
+   * @param {HTMLElement} videoWrap
+   */
+  constructor(videoWrap) {
+    super(videoWrap);
+    this.name = "quagga";
+    this.eventsAttached = false;
+    this._onDetected = null;
+    this._onProcessed = null;
   }
 
   /**
@@ -226,15 +479,7 @@ class QuaggaWrapper {
       locator: { patchSize: "large", halfSample: false },
       numOfWorkers: 0,
       frequency: 15,
-      decoder: {
-        readers: [
-          "ean_reader",
-          "ean_8_reader",
-          "upc_reader",
-          "upc_e_reader",
-          "code_128_reader",
-        ],
-      },
+      decoder: { readers: QuaggaWrapper.READERS },
       locate: true,
     };
 
@@ -276,24 +521,7 @@ class QuaggaWrapper {
             Q.CameraAccess && Q.CameraAccess.getActiveTrack
               ? Q.CameraAccess.getActiveTrack()
               : null;
-          if (track) {
-            this.currentTrack = track;
-            this.zoom = 2;
-
-            const s = (track.getSettings && track.getSettings()) || {};
-            if (s.width && s.height) {
-              this.videoWrap.style.setProperty(
-                "--aspect",
-                `${s.width} / ${s.height}`
-              );
-              this.videoWrap.style.setProperty(
-                "--aspect-inv",
-                `${s.height} / ${s.width}`
-              );
-            }
-
-            await this.applyTrackConstraints();
-          }
+          if (track) await this._adoptTrack(track);
         } catch (e) {
           Logger.warn("No track capabilities", String(e));
         }
@@ -304,27 +532,18 @@ class QuaggaWrapper {
             if (boxes) {
               Logger.info("processed", { boxes });
             }
+            // Frames with a read are voted in _onDetected
+            if (!(res && res.codeResult && res.codeResult.code)) this._frame("");
           };
           Q.onProcessed(this._onProcessed);
 
           this._onDetected = (data) => {
-            const raw =
-              data && data.codeResult && data.codeResult.code
-                ? data.codeResult.code
-                : "";
-            const code = acceptScannedCode(raw);
-            if (!code) return; // bad checksum / junk
-
-            const now = Date.now();
-            if (code === this._lastCode && now - this._lastAt < 1200) return;
-            this._lastCode = code;
-            this._lastAt = now;
-            Logger.info("barcode detected", { code });
-            this.flash();
-            try {
-              if (navigator.vibrate) navigator.vibrate(150);
-            } catch (_) {}
-            if (this.onHit) this.onHit(code);
+            const result = data && data.codeResult;
+            this._frame(
+              result && result.code ? result.code : "",
+              QuaggaWrapper.decodeError(result),
+              result && result.format
+            );
           };
           Q.onDetected(this._onDetected);
 
@@ -337,6 +556,21 @@ class QuaggaWrapper {
     });
   }
 
+  /**
+   * Median per-character decode error of a Quagga result (lower is more certain).
+   * @param {any} result codeResult
+   * @returns {number|undefined}
+   */
+  static decodeError(result) {
+    const errs = ((result && result.decodedCodes) || [])
+      .map((d) => d.error)
+      .filter((e) => typeof e === "number")
+      .sort((a, b) => a - b);
+    if (!errs.length) return undefined;
+    const mid = errs.length >> 1;
+    return errs.length % 2 ? errs[mid] : (errs[mid - 1] + errs[mid]) / 2;
+  }
+
   stop() {
     const Q = resolveQuagga();
     try {
@@ -362,47 +596,298 @@ class QuaggaWrapper {
     }
     this.active = false;
     this.currentTrack = null;
+    this._resetVotes();
     Logger.info("Quagga stopped", null);
   }
+}
 
-  async applyTrackConstraints() {
-    if (!this.currentTrack) return;
-    const caps = this.currentTrack.getCapabilities
-      ? this.currentTrack.getCapabilities()
-      : {};
-    const cons = { advanced: [] };
-    if (caps.torch) cons.advanced.push({ torch: this.torchOn });
-    if (
-      typeof caps.zoom === "number" ||
-      (caps.zoom && typeof caps.zoom.max === "number")
-    )
-      cons.advanced.push({ zoom: this.zoom });
-    try {
-      await this.currentTrack.applyConstraints(cons);
-      Logger.info("applied constraints", cons);
-    } catch (e) {
-      Logger.warn("applyConstraints failed", String(e));
+/**
+ * Pick the scanner engine: native BarcodeDetector when it reads retail codes, else Quagga.
+ * `?engine=quagga` / `?engine=native` forces one (for comparing them on a device).
+ * @param {HTMLElement} videoWrap
+ * @returns {Promise<ScannerEngine>}
+ */
+async function createScannerEngine(videoWrap) {
+  let forced = "";
+  try {
+    forced = new URL(location.href).searchParams.get("engine") || "";
+  } catch (_) {}
+  const native = forced !== "quagga" && (await NativeBarcodeEngine.isSupported());
+  if (forced === "native" && !native)
+    Logger.warn("BarcodeDetector unavailable; using Quagga", null);
+  return native ? new NativeBarcodeEngine(videoWrap) : new QuaggaWrapper(videoWrap);
+}
+
+/** Photo decoding ********************************************************/
+/**
+ * Decode UPC/EAN codes from a still image (upload or gallery), for desktops and devices
+ * where camera permission is blocked. Each rotation is tried on the whole image and on
+ * overlapping tiles, so a row of tags photographed on a table yields every code; the first
+ * rotation that reads anything wins, since tags laid out together share an orientation.
+ */
+class PhotoDecoder {
+  static MAX_SIDE = 1600;
+  // 1D readers decode both directions, so 180° adds nothing over 0°
+  static ROTATIONS = [0, 90, 45, 135];
+  // [cols, rows] of overlapping tiles tried after the whole image
+  static GRIDS = [[2, 1], [1, 2], [3, 2]];
+  static OVERLAP = 0.2;
+
+  /**
+   * @param {Blob} file
+   * @param {(done: number, total: number) => void} [onProgress]
+   * @returns {Promise<string[]>} unique checksum-valid codes, in reading order
+   */
+  static async decode(file, onProgress) {
+    const img = await PhotoDecoder.load(file);
+    const native = await NativeBarcodeEngine.isSupported();
+    const decodeOne = native
+      ? (c) => PhotoDecoder.detectNative(c)
+      : (c) => PhotoDecoder.detectQuagga(c);
+
+    const perRotation = 1 + PhotoDecoder.GRIDS.reduce((n, [c, r]) => n + c * r, 0);
+    const total = PhotoDecoder.ROTATIONS.length * perRotation;
+    let done = 0;
+    for (const deg of PhotoDecoder.ROTATIONS) {
+      const canvas = PhotoDecoder.rotate(img, deg);
+      const found = new Set();
+      for (const crop of [canvas, ...PhotoDecoder.tiles(canvas)]) {
+        let reads = [];
+        try {
+          reads = await decodeOne(crop);
+        } catch (e) {
+          Logger.warn("photo decode failed", String(e && e.message ? e.message : e));
+        }
+        for (const { raw, format } of reads) {
+          const code = acceptScannedCode(raw, format);
+          if (code) found.add(code);
+        }
+        if (onProgress) onProgress(++done, total);
+      }
+      Logger.info("photo decode pass", { deg, engine: native ? "native" : "quagga", codes: [...found] });
+      if (found.size) return [...found];
     }
+    return [];
   }
 
-  flash() {
-    this.videoWrap.classList.add("ok-flash");
-    setTimeout(() => {
-      this.videoWrap.classList.remove("ok-flash");
-    }, 220);
+  /**
+   * Draw the file onto a canvas, downscaled so the longest side is at most MAX_SIDE.
+   * @param {Blob} file
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  static async load(file) {
+    let src;
+    if (typeof createImageBitmap === "function") {
+      src = await createImageBitmap(file);
+    } else {
+      const url = URL.createObjectURL(file);
+      try {
+        src = await new Promise((resolve, reject) => {
+          const im = new Image();
+          im.onload = () => resolve(im);
+          im.onerror = () => reject(new Error("Not an image"));
+          im.src = url;
+        });
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    }
+    const scale = Math.min(1, PhotoDecoder.MAX_SIDE / Math.max(src.width, src.height));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(src.width * scale);
+    canvas.height = Math.round(src.height * scale);
+    canvas.getContext("2d").drawImage(src, 0, 0, canvas.width, canvas.height);
+    if (src.close) src.close();
+    return canvas;
   }
 
-  async toggleTorch() {
-    this.torchOn = !this.torchOn;
-    await this.applyTrackConstraints();
+  /**
+   * Rotate onto a new canvas sized to the rotated bounding box (white fill for the corners).
+   * @param {HTMLCanvasElement} img
+   * @param {number} deg
+   */
+  static rotate(img, deg) {
+    if (!deg) return img;
+    const rad = (deg * Math.PI) / 180;
+    const cos = Math.abs(Math.cos(rad)),
+      sin = Math.abs(Math.sin(rad));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(img.width * cos + img.height * sin);
+    canvas.height = Math.round(img.width * sin + img.height * cos);
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(rad);
+    ctx.drawImage(img, -img.width / 2, -img.height / 2);
+    return canvas;
   }
-  async zoomIn() {
-    this.zoom = (this.zoom || 1) + 0.5;
-    await this.applyTrackConstraints();
+
+  /**
+   * Overlapping crops for each grid in GRIDS, so small codes get enough pixels
+   * and codes split by one tile boundary are whole in a neighbour.
+   * @param {HTMLCanvasElement} canvas
+   * @returns {HTMLCanvasElement[]}
+   */
+  static tiles(canvas) {
+    const out = [];
+    for (const [cols, rows] of PhotoDecoder.GRIDS) {
+      const tw = Math.round((canvas.width / cols) * (1 + PhotoDecoder.OVERLAP));
+      const th = Math.round((canvas.height / rows) * (1 + PhotoDecoder.OVERLAP));
+      for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+          const x = cols > 1 ? Math.round(((canvas.width - tw) * c) / (cols - 1)) : 0;
+          const y = rows > 1 ? Math.round(((canvas.height - th) * r) / (rows - 1)) : 0;
+          const w = Math.min(tw, canvas.width),
+            h = Math.min(th, canvas.height);
+          const tile = document.createElement("canvas");
+          tile.width = w;
+          tile.height = h;
+          tile.getContext("2d").drawImage(canvas, x, y, w, h, 0, 0, w, h);
+          out.push(tile);
+        }
+      }
+    }
+    return out;
   }
-  async zoomOut() {
-    this.zoom = Math.max(1, (this.zoom || 1) - 0.5);
-    await this.applyTrackConstraints();
+
+  /** @typedef {{raw: string, format?: string}} PhotoRead */
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @returns {Promise<PhotoRead[]>}
+   */
+  static async detectNative(canvas) {
+    const BD = /** @type {any} */ (window).BarcodeDetector;
+    if (!PhotoDecoder._detector) {
+      const supported = await BD.getSupportedFormats();
+      PhotoDecoder._detector = new BD({
+        formats: NativeBarcodeEngine.FORMATS.filter((f) => supported.includes(f)),
+      });
+    }
+    const found = await PhotoDecoder._detector.detect(canvas);
+    return found.map((b) => ({ raw: b.rawValue, format: b.format }));
+  }
+
+  /**
+   * Quagga.decodeSingle with `multiple`, so one crop can yield several codes.
+   * @param {HTMLCanvasElement} canvas
+   * @returns {Promise<PhotoRead[]>}
+   */
+  static async detectQuagga(canvas) {
+    const Q = await waitForQuagga();
+    const src = canvas.toDataURL("image/jpeg", 0.92);
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => resolve([]), 5000);
+      Q.decodeSingle(
+        {
+          src,
+          numOfWorkers: 0,
+          locate: true,
+          inputStream: { size: Math.min(1280, Math.max(canvas.width, canvas.height)) },
+          locator: { patchSize: "medium", halfSample: false },
+          decoder: { readers: QuaggaWrapper.READERS, multiple: true },
+        },
+        (res) => {
+          clearTimeout(timer);
+          const list = Array.isArray(res) ? res : res ? [res] : [];
+          resolve(
+            list
+              .filter((r) => r && r.codeResult && r.codeResult.code)
+              .map((r) => ({ raw: r.codeResult.code, format: r.codeResult.format }))
+          );
+        }
+      );
+    });
+  }
+}
+
+/** Keyboard-wedge scanner ************************************************/
+/**
+ * USB/Bluetooth handheld scanners "type" the code and press Enter. They type far faster than a
+ * person, so a run of keys each within MAX_GAP_MS of the last, ended by Enter/Tab (or a pause), is
+ * taken as a scan wherever focus is. When the burst landed in a text field it is removed again,
+ * and its Enter is swallowed so it doesn't also submit the field.
+ */
+class KeyboardWedge {
+  static MAX_GAP_MS = 40; // scanners: ~5-20 ms per key; people rarely go under ~80 ms
+  static MIN_LENGTH = 8; // EAN-8, the shortest code we accept
+  static IDLE_MS = 100; // scanners set up without an Enter suffix end on a pause
+
+  /**
+   * @param {Window|HTMLElement} [target]
+   */
+  constructor(target = window) {
+    /** @type {((code: string) => void)|null} */
+    this.onScan = null;
+    this._buf = "";
+    this._lastAt = 0;
+    this._field = null;
+    this._timer = null;
+    // Capture phase: see the keys before the focused element's own handlers
+    target.addEventListener("keydown", (e) => this.onKey(e), true);
+  }
+
+  /**
+   * @param {KeyboardEvent} e
+   */
+  onKey(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) {
+      this.reset();
+      return;
+    }
+    const now = performance.now();
+    const fast = this._buf && now - this._lastAt <= KeyboardWedge.MAX_GAP_MS;
+
+    if (e.key === "Enter" || e.key === "Tab") {
+      if (fast && this.finish()) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+      this.reset();
+      return;
+    }
+    // Shift and friends: leave the idle timer running so a burst ending on one still flushes
+    if (e.key.length !== 1) return;
+
+    if (!fast) {
+      this._buf = "";
+      const el = /** @type {any} */ (e.target);
+      this._field = el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA") ? el : null;
+    }
+    this._buf += e.key;
+    this._lastAt = now;
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      this.finish();
+      this.reset();
+    }, KeyboardWedge.IDLE_MS);
+  }
+
+  /**
+   * Hand a completed burst to onScan if it is a valid code.
+   * @returns {boolean} whether it was taken as a scan
+   */
+  finish() {
+    if (this._buf.length < KeyboardWedge.MIN_LENGTH) return false;
+    const code = acceptScannedCode(this._buf);
+    if (!code) return false;
+    // The keys also went into the focused field; take them back out
+    const f = this._field;
+    if (f && typeof f.value === "string" && f.value.endsWith(this._buf)) {
+      f.value = f.value.slice(0, -this._buf.length);
+      f.dispatchEvent(new Event("input", { bubbles: true }));
+    }
+    Logger.info("keyboard-wedge scan", { code });
+    if (this.onScan) this.onScan(code);
+    return true;
+  }
+
+  reset() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._buf = "";
+    this._field = null;
   }
 }
 
@@ -415,10 +900,23 @@ class CameraController {
   constructor(videoWrap, selectEl) {
     this.videoWrap = videoWrap;
     this.selectEl = selectEl;
-    this.wrapper = new QuaggaWrapper(videoWrap);
+    /** @type {ScannerEngine|null} chosen on first start() */
+    this.engine = null;
     this.devices = [];
     this.currentId = null;
     this.onStatus = null;
+    /** @type {((code: string) => void)|null} */
+    this.onHit = null;
+    this.consensus = true;
+  }
+
+  /**
+   * Turn multi-frame consensus on or off, now and for the engine created on start().
+   * @param {boolean} on
+   */
+  setConsensus(on) {
+    this.consensus = on;
+    if (this.engine) this.engine.consensus = on;
   }
 
   async populateDevices() {
@@ -461,15 +959,32 @@ class CameraController {
     }
 
     await this.populateDevices();
-    await this.wrapper.init(this.currentId);
-    if (this.onStatus) this.onStatus("running");
+    if (!this.engine) {
+      this.engine = await createScannerEngine(this.videoWrap);
+      this.engine.consensus = this.consensus;
+      this.engine.onHit = (code) => {
+        if (this.onHit) this.onHit(code);
+      };
+    }
+    await this.engine.init(this.currentId);
+    if (this.onStatus) this.onStatus("running (" + this.engine.name + ")");
   }
 
   stop() {
-    this.wrapper.stop();
+    if (this.engine) this.engine.stop();
     if (this.onStatus) this.onStatus("stopped");
   }
 
+  toggleTorch() {
+    return this.engine ? this.engine.toggleTorch() : Promise.resolve();
+  }
+  zoomIn() {
+    return this.engine ? this.engine.zoomIn() : Promise.resolve();
+  }
+  zoomOut() {
+    return this.engine ? this.engine.zoomOut() : Promise.resolve();
+  }
+
   async switchCamera() {
     if (!this.devices.length) await this.populateDevices();
     const idx = this.devices.findIndex((d) => d.deviceId === this.currentId);
@@ -494,21 +1009,311 @@ class CameraController {
 
 /** Pricing ***************************************************************/
 class PriceEstimator {
-  static async estimate(q) {
-    const res = await fetch("/api/estimate?query=" + encodeURIComponent(q));
+  /**
+   * @param {string} path
+   * @param {string} q
+   * @param {{sku?: string, market?: string}} [opts]
+   */
+  static url(path, q, opts) {
+    let url = path + "?query=" + encodeURIComponent(q);
+    if (opts && opts.sku) url += "&sku=" + encodeURIComponent(opts.sku);
+    if (opts && opts.market) url += "&market=" + encodeURIComponent(opts.market);
+    return url;
+  }
+
+  static async check(res) {
+    if (res.status === 429) {
+      const wait = res.headers.get("retry-after");
+      throw new Error("Too many lookups — try again" + (wait ? ` in ${wait}s` : " shortly"));
+    }
     if (!res.ok) throw new Error((await res.text()) || String(res.status));
+  }
+
+  /**
+   * Price many lines at once (POST /api/estimate/batch); repeats are counted as quantity.
+   * @param {string[]} lines UPCs or names
+   * @param {{market?: string}} [opts]
+   */
+  static async batch(lines, opts) {
+    const res = await fetch("/api/estimate/batch", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ items: lines, market: opts && opts.market }),
+    });
+    await PriceEstimator.check(res);
     return res.json();
   }
+
+  /**
+   * Streamed estimate (NDJSON): `onEvent` gets the `start` event, then a `source` event
+   * ({source, items}) as each provider answers. Resolves with the same shape as GET /api/v2/estimate
+   * once the final event arrives.
+   * @param {string} q
+   * @param {{sku?: string, market?: string}} [opts] sku pins the estimate to one catalog Beanie
+   * @param {(ev: {type: string, [k: string]: any}) => void} onEvent
+   */
+  static async stream(q, opts, onEvent) {
+    const res = await fetch(PriceEstimator.url("/api/estimate/stream", q, opts), {
+      headers: { accept: "application/x-ndjson" },
+    });
+    await PriceEstimator.check(res);
+
+    const items = { current: [], sold: [] };
+    let done = null;
+    const handle = (line) => {
+      if (!line.trim()) return;
+      const ev = JSON.parse(line);
+      if (ev.type === "error") throw new Error(ev.error);
+      if (ev.type === "done") {
+        done = ev;
+        return;
+      }
+      if (ev.type === "source")
+        items[ev.source.kind === "sold" ? "sold" : "current"].push(...ev.items);
+      onEvent(ev);
+    };
+
+    if (res.body && res.body.getReader) {
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buf = "";
+      for (;;) {
+        const { value, done: eof } = await reader.read();
+        if (eof) break;
+        buf += decoder.decode(value, { stream: true });
+        let nl;
+        while ((nl = buf.indexOf("\n")) >= 0) {
+          handle(buf.slice(0, nl));
+          buf = buf.slice(nl + 1);
+        }
+      }
+      handle(buf);
+    } else {
+      (await res.text()).split("\n").forEach(handle);
+    }
+    if (!done) throw new Error("Estimate stream ended early");
+    return { ...done, items };
+  }
+}
+
+/** Catalog ***************************************************************/
+class Catalog {
+  /**
+   * Catalog Beanies sharing a UPC/EAN, best match_score first ([] when unknown).
+   * @param {string} code
+   * @returns {Promise<CatalogHit[]>}
+   */
+  static async byUpc(code) {
+    const res = await fetch("/api/catalog/upc/" + encodeURIComponent(code));
+    if (res.status === 404) return [];
+    if (!res.ok) throw new Error((await res.text()) || String(res.status));
+    const data = await res.json();
+    return Array.isArray(data.items) ? data.items : [];
+  }
+}
+
+/** Catalog typeahead *****************************************************/
+/** @typedef {{sku:string, name:string, title:string, query:string, upc:string, image?:string, match_score:number, score?:number}} CatalogHit */
+class CatalogTypeahead {
+  static DEBOUNCE_MS = 150;
+  static LIMIT = 8;
+
+  /**
+   * @param {HTMLInputElement} input
+   * @param {HTMLUListElement} list
+   */
+  constructor(input, list) {
+    this.input = input;
+    this.list = list;
+    /** @type {CatalogHit[]} */
+    this.hits = [];
+    this.active = -1;
+    this.onPick = null;
+    this._timer = null;
+    this._seq = 0;
+
+    input.addEventListener("input", () => this.schedule());
+    input.addEventListener("keydown", (e) => this.onKey(e));
+    input.addEventListener("blur", () => setTimeout(() => this.close(), 150));
+  }
+
+  schedule() {
+    clearTimeout(this._timer);
+    const q = this.input.value.trim();
+    // Digits are a UPC/EAN; leave those to the normal lookup
+    if (q.length < 2 || /^[0-9\s-]+$/.test(q)) {
+      this.close();
+      return;
+    }
+    this._timer = setTimeout(() => this.search(q), CatalogTypeahead.DEBOUNCE_MS);
+  }
+
+  async search(q) {
+    const seq = ++this._seq;
+    try {
+      const res = await fetch(
+        "/api/catalog/search?q=" +
+          encodeURIComponent(q) +
+          "&limit=" +
+          CatalogTypeahead.LIMIT
+      );
+      if (!res.ok) throw new Error(String(res.status));
+      const data = await res.json();
+      if (seq !== this._seq) return; // a newer keystroke won
+      this.hits = Array.isArray(data.items) ? data.items : [];
+      this.active = -1;
+      this.render();
+    } catch (e) {
+      Logger.warn("catalog search failed", String(e && e.message ? e.message : e));
+      this.close();
+    }
+  }
+
+  render() {
+    this.list.innerHTML = "";
+    if (!this.hits.length) {
+      this.list.hidden = true;
+      return;
+    }
+    this.hits.forEach((hit, i) => {
+      const li = document.createElement("li");
+      li.setAttribute("role", "option");
+      li.className = i === this.active ? "active" : "";
+      const img = document.createElement("img");
+      img.alt = "";
+      img.loading = "lazy";
+      if (hit.image) img.src = hit.image; // absolute URL on the catalog's source site
+      img.onerror = () => {
+        img.style.visibility = "hidden";
+      };
+      const text = document.createElement("span");
+      const strong = document.createElement("strong");
+      strong.textContent = hit.title || hit.name;
+      const small = document.createElement("small");
+      small.className = "muted";
+      small.textContent = hit.name + (hit.upc ? " · UPC " + hit.upc : "");
+      text.append(strong, small);
+      li.append(img, text);
+      // mousedown so the pick lands before the input's blur closes the list
+      li.addEventListener("mousedown", (e) => {
+        e.preventDefault();
+        this.pick(i);
+      });
+      this.list.appendChild(li);
+    });
+    this.list.hidden = false;
+  }
+
+  onKey(e) {
+    if (this.list.hidden || !this.hits.length) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const n = this.hits.length;
+      this.active = (this.active + (e.key === "ArrowDown" ? 1 : n - 1)) % n;
+      this.render();
+    } else if (e.key === "Enter" && this.active >= 0) {
+      // stopImmediatePropagation keeps the plain Enter-to-lookup handler from also firing
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      this.pick(this.active);
+    } else if (e.key === "Escape") {
+      this.close();
+    }
+  }
+
+  pick(i) {
+    const hit = this.hits[i];
+    this.close();
+    if (!hit) return;
+    this.input.value = hit.title || hit.name;
+    if (this.onPick) this.onPick(hit);
+  }
+
+  close() {
+    clearTimeout(this._timer);
+    this._seq++;
+    this.hits = [];
+    this.active = -1;
+    this.list.hidden = true;
+    this.list.innerHTML = "";
+  }
 }
 
 /** Utilities *************************************************************/
-function usd(n) {
+/** Currency of amounts coming back from /api/estimate; updated from each response. */
+let DISPLAY_CURRENCY = "USD";
+
+/**
+ * Format an amount in the user's locale.
+ * @param {number} n
+ * @param {string} [currency] defaults to DISPLAY_CURRENCY
+ */
+function money(n, currency) {
   if (n == null || !isFinite(n)) return "—";
   return new Intl.NumberFormat(undefined, {
     style: "currency",
-    currency: "USD",
+    currency: currency || DISPLAY_CURRENCY,
   }).format(n);
 }
+
+/** eBay marketplaces the worker accepts, keyed by marketplace id. */
+const MARKETS = {
+  EBAY_US: "eBay US ($)",
+  EBAY_GB: "eBay UK (£)",
+  EBAY_DE: "eBay DE (€)",
+  EBAY_FR: "eBay FR (€)",
+  EBAY_IT: "eBay IT (€)",
+  EBAY_ES: "eBay ES (€)",
+  EBAY_AU: "eBay AU (A$)",
+  EBAY_CA: "eBay CA (C$)",
+};
+
+/**
+ * Saved marketplace, else a guess from the browser locale's region.
+ * @returns {string}
+ */
+function preferredMarket() {
+  try {
+    const saved = localStorage.getItem("bbb.market");
+    if (saved && MARKETS[saved]) return saved;
+  } catch {}
+  const region = String(navigator.language || "").split("-")[1] || "";
+  const byRegion = {
+    GB: "EBAY_GB",
+    UK: "EBAY_GB",
+    IE: "EBAY_GB",
+    DE: "EBAY_DE",
+    AT: "EBAY_DE",
+    FR: "EBAY_FR",
+    IT: "EBAY_IT",
+    ES: "EBAY_ES",
+    AU: "EBAY_AU",
+    CA: "EBAY_CA",
+  };
+  return byRegion[region.toUpperCase()] || "EBAY_US";
+}
+/** Display order and labels for the worker's condition buckets. */
+const CONDITION_LABELS = [
+  ["nwt", "New / mint tags"],
+  ["tag_damaged", "Tag damaged"],
+  ["no_tag", "No tag"],
+  ["used", "Used"],
+  ["unknown", "Unstated"],
+];
+
+/**
+ * Price-cell suffix for lot listings: per-unit marker plus the original lot price.
+ * @param {PriceRow} it
+ */
+function lotLabel(it) {
+  if (!it.lot_size) return " <span class='tag'>lot</span>";
+  return (
+    "/ea <span class='tag'>lot of " +
+    it.lot_size +
+    (it.lot_price != null ? " · " + money(it.lot_price, it.currency) : "") +
+    "</span>"
+  );
+}
 function stats(vals) {
   const a = vals.slice().sort((x, y) => x - y);
   function q(p) {
@@ -521,11 +1326,34 @@ function stats(vals) {
 }
 
 /**
- * Pick items and stats from either the legacy shape ({items})
- * or the new unified shape ({items_current, items_sold, stats}).
+ * One-line summary of a v2 `sources` array, e.g. "Finding current 12 · Etsy current: RATE_LIMITED".
+ * Disabled/skipped sources are left out.
+ */
+function sourcesNote(sources) {
+  return (sources || [])
+    .filter((s) => s.status !== "disabled" && s.status !== "skipped")
+    .map((s) => (s.error ? s.label + ": " + s.error.code : s.label + " " + s.count))
+    .join(" · ");
+}
+
+/**
+ * Pick items and stats from the v2 shape ({api_version: 2, items: {current, sold}, sources}),
+ * the v1 shape ({items_current, items_sold, stats}) or the legacy shape ({items}).
  * Prefers SOLD items for display; falls back to CURRENT.
  */
 function unpackEstimateResponse(data) {
+  if (data.api_version === 2) {
+    const sold = data.items.sold || [];
+    const current = data.items.current || [];
+    return {
+      itemsForTable: sold.length ? sold : current,
+      stats: data.stats.combined,
+      byCondition: data.stats.by_condition || null,
+      landedStats: data.stats.landed ? data.stats.landed.combined : null,
+      note: sourcesNote(data.sources),
+      queryUsed: data.query_used || "",
+    };
+  }
   if (Array.isArray(data.items)) {
     const vals = data.items.map((i) => i.price).filter(Number.isFinite);
     return {
@@ -537,13 +1365,24 @@ function unpackEstimateResponse(data) {
   const sold = Array.isArray(data.items_sold) ? data.items_sold : [];
   const current = Array.isArray(data.items_current) ? data.items_current : [];
   const combined = sold.concat(current);
-  const vals = combined.map((i) => i.price).filter(Number.isFinite);
+  const vals = combined
+    .filter((i) => !i.excluded_reason)
+    .map((i) => i.price)
+    .filter(Number.isFinite);
   const combinedStats =
     data.stats && data.stats.combined
       ? data.stats.combined
       : { count: vals.length, ...stats(vals) };
   const itemsForTable = sold.length ? sold : current;
-  return { itemsForTable, stats: combinedStats, note: data.note || "" };
+  return {
+    itemsForTable,
+    stats: combinedStats,
+    byCondition: (data.stats && data.stats.by_condition) || null,
+    landedStats:
+      data.stats && data.stats.landed ? data.stats.landed.combined : null,
+    note: data.note || "",
+    queryUsed: data.query_used || "",
+  };
 }
 
 function setStatus(icon, text) {
@@ -552,16 +1391,30 @@ function setStatus(icon, text) {
 }
 
 /** App *******************************************************************/
+/** How each input source is named in the "Detected via …" line */
+const HIT_SOURCES = {
+  camera: "camera",
+  photo: "photo",
+  scanner: "handheld scanner",
+};
+
 class App {
+  static PICKER_PAGE = 12; // generic Ty UPCs match 100+ Beanies; show them a page at a time
+
   constructor() {
     this.els = {
       start: document.getElementById("startBtn"),
       stop: document.getElementById("stopBtn"),
+      photoBtn: document.getElementById("photoBtn"),
+      photoInput: document.getElementById("photoInput"),
+      photoCodes: document.getElementById("photoCodes"),
+      repairs: document.getElementById("repairs"),
       switchBtn: document.getElementById("switchBtn"),
       torchBtn: document.getElementById("torchBtn"),
       zoomInBtn: document.getElementById("zoomInBtn"),
       zoomOutBtn: document.getElementById("zoomOutBtn"),
       rotateBtn: document.getElementById("rotateBtn"),
+      consensus: document.getElementById("consensusToggle"),
       select: document.getElementById("cameraSelect"),
       videoWrap: document.getElementById("videoWrap"),
       state: document.getElementById("camState"),
@@ -572,14 +1425,38 @@ class App {
       iqr: document.getElementById("iqr"),
       manual: document.getElementById("manual"),
       lookupBtn: document.getElementById("lookupBtn"),
+      typeahead: document.getElementById("typeahead"),
+      picker: document.getElementById("picker"),
+      pickerFilter: document.getElementById("pickerFilter"),
+      pickerList: document.getElementById("pickerList"),
+      pickerMore: document.getElementById("pickerMore"),
+      pickerSkip: document.getElementById("pickerSkip"),
+      condGrid: document.getElementById("condGrid"),
+      market: document.getElementById("marketSelect"),
+      landed: document.getElementById("landedToggle"),
       results: document.getElementById("results"),
+      batchMode: document.getElementById("batchMode"),
+      batchInput: document.getElementById("batchInput"),
+      batchPrice: document.getElementById("batchPriceBtn"),
+      batchClear: document.getElementById("batchClearBtn"),
+      batchCount: document.getElementById("batchCount"),
+      batchTable: document.getElementById("batchTable"),
+      batchQty: document.getElementById("batchQty"),
+      batchMedian: document.getElementById("batchMedian"),
+      batchIqr: document.getElementById("batchIqr"),
     };
 
     this.camera = new CameraController(this.els.videoWrap, this.els.select);
-    this.camera.wrapper.onHit = (code) => this.onHit(code);
+    this.camera.onHit = (code) => this.onHit(code, "camera");
+    this.wedge = new KeyboardWedge();
+    this.wedge.onScan = (code) => this.onHit(code, "scanner");
     this.camera.onStatus = (s) => {
       this.els.state.textContent = s;
     };
+    /** Stats of the last API estimate, kept so the shipping toggle can re-render without refetching */
+    this.lastStats = null;
+    this.typeahead = new CatalogTypeahead(this.els.manual, this.els.typeahead);
+    this.typeahead.onPick = (hit) => this.lookupBeanie(hit);
 
     this.bindUI();
   }
@@ -594,26 +1471,93 @@ class App {
     this.els.switchBtn.onclick = () => {
       this.switchCamera();
     };
+    this.els.photoBtn.onclick = () => {
+      this.els.photoInput.click();
+    };
+    this.els.photoInput.onchange = () => {
+      const file = this.els.photoInput.files && this.els.photoInput.files[0];
+      this.els.photoInput.value = ""; // let the same photo be picked again
+      if (file) this.scanPhoto(file);
+    };
     this.els.lookupBtn.onclick = () => {
-      const v = normalizeInputCode(this.els.manual.value.trim());
-      if (v) this.lookupWithStatus(v);
+      const v = this.els.manual.value.trim();
+      if (!v) return;
+      this.hideRepairs();
+      const gtin = canonicalGtin(v);
+      if (gtin) return this.lookupCode(gtin);
+      const repairs = gtinRepairs(v);
+      if (repairs.length) return this.showRepairs(v, repairs);
+      this.lookupWithStatus(v);
     };
     this.els.manual.onkeydown = (e) => {
       if (e.key === "Enter") this.els.lookupBtn.click();
     };
 
+    for (const [id, label] of Object.entries(MARKETS)) {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = label;
+      this.els.market.appendChild(opt);
+    }
+    this.els.market.value = preferredMarket();
+    this.els.market.onchange = () => {
+      try {
+        localStorage.setItem("bbb.market", this.els.market.value);
+      } catch {}
+    };
+
+    try {
+      this.els.landed.checked = localStorage.getItem("bbb.landed") === "1";
+    } catch {}
+    this.els.landed.onchange = () => {
+      try {
+        localStorage.setItem("bbb.landed", this.els.landed.checked ? "1" : "0");
+      } catch {}
+      this.renderStats();
+    };
+
+    try {
+      this.els.batchInput.value = localStorage.getItem("bbb.batch") || "";
+      this.els.batchMode.checked = localStorage.getItem("bbb.batchMode") === "1";
+    } catch {}
+    this.updateBatchCount();
+    this.els.batchInput.oninput = () => this.updateBatchCount();
+    this.els.batchMode.onchange = () => {
+      try {
+        localStorage.setItem("bbb.batchMode", this.els.batchMode.checked ? "1" : "0");
+      } catch {}
+    };
+    this.els.batchPrice.onclick = () => {
+      this.priceBatch();
+    };
+    this.els.batchClear.onclick = () => {
+      this.els.batchInput.value = "";
+      this.els.batchTable.hidden = true;
+      this.updateBatchCount();
+    };
+
     this.els.torchBtn.onclick = () => {
-      this.camera.wrapper.toggleTorch();
+      this.camera.toggleTorch();
     };
     this.els.zoomInBtn.onclick = () => {
-      this.camera.wrapper.zoomIn();
+      this.camera.zoomIn();
     };
     this.els.zoomOutBtn.onclick = () => {
-      this.camera.wrapper.zoomOut();
+      this.camera.zoomOut();
     };
     this.els.rotateBtn.onclick = () => {
       this.els.videoWrap.classList.toggle("rot90");
     };
+    try {
+      this.els.consensus.checked = localStorage.getItem("bbb.consensus") !== "0";
+    } catch {}
+    this.camera.setConsensus(this.els.consensus.checked);
+    this.els.consensus.onchange = () => {
+      this.camera.setConsensus(this.els.consensus.checked);
+      try {
+        localStorage.setItem("bbb.consensus", this.els.consensus.checked ? "1" : "0");
+      } catch {}
+    };
 
     document.addEventListener("visibilitychange", () => {
       if (document.hidden) this.stop();
@@ -646,10 +1590,65 @@ class App {
     }
   }
 
-  async onHit(code) {
-    this.els.detected.textContent = "Detected: " + code;
+  /**
+   * Decode every code in a still photo. In batch mode they all go into the batch; otherwise a
+   * single code is looked up and several are offered as choices, so one photo costs one lookup.
+   * @param {Blob} file
+   */
+  async scanPhoto(file) {
+    this.clearError();
+    this.els.photoCodes.hidden = true;
+    this.els.photoCodes.replaceChildren();
+    this.els.photoBtn.disabled = true;
+    let codes = [];
+    try {
+      setStatus("🖼️", "reading photo");
+      codes = await PhotoDecoder.decode(file, (done, total) => {
+        this.els.detected.textContent = `Reading photo… ${Math.round((100 * done) / total)}%`;
+      });
+    } catch (e) {
+      this.showError("Photo decode failed: " + String(e && e.message ? e.message : e));
+      return;
+    } finally {
+      this.els.photoBtn.disabled = false;
+    }
+    if (!codes.length) {
+      setStatus("❌", "no barcode");
+      this.els.detected.textContent = "No barcode found in photo";
+      return;
+    }
+
+    if (this.els.batchMode.checked || codes.length === 1) {
+      for (const code of codes) await this.onHit(code, "photo");
+      return;
+    }
+
+    setStatus("🤔", "pick a code");
+    this.els.detected.textContent = `Found ${codes.length} codes in photo — pick one to look up`;
+    for (const code of codes) {
+      const b = document.createElement("button");
+      b.className = "secondary";
+      b.textContent = code;
+      b.onclick = () => this.onHit(code, "photo");
+      this.els.photoCodes.appendChild(b);
+    }
+    this.els.photoCodes.hidden = false;
+  }
+
+  /**
+   * A code from any input: the camera, an uploaded photo or a keyboard-wedge scanner.
+   * @param {string} code
+   * @param {keyof typeof HIT_SOURCES} [source]
+   */
+  async onHit(code, source = "camera") {
+    const via = HIT_SOURCES[source] || source;
+    if (this.els.batchMode.checked) {
+      this.addToBatch(code, via);
+      return;
+    }
+    this.els.detected.textContent = "Detected via " + via + ": " + code;
     try {
-      await this.lookupWithStatus(code);
+      await this.lookupCode(code);
     } catch (e) {
       this.showError(
         "Lookup failed: " + String(e && e.message ? e.message : e)
@@ -657,22 +1656,201 @@ class App {
     }
   }
 
-  async lookupWithStatus(q) {
+  /**
+   * Resolve a scanned/entered GTIN against the catalog first. Ty reused UPCs across many
+   * Beanies, so several candidates open the picker instead of pricing the bare barcode.
+   * @param {string} code
+   */
+  async lookupCode(code) {
+    this.hidePicker();
+    let candidates = [];
+    try {
+      setStatus("📚", "catalog");
+      candidates = await Catalog.byUpc(code);
+    } catch (e) {
+      Logger.warn("catalog UPC lookup failed", String(e && e.message ? e.message : e));
+    }
+    if (candidates.length === 1) return this.lookupBeanie(candidates[0]);
+    if (candidates.length > 1) return this.showPicker(code, candidates);
+    return this.lookupWithStatus(code);
+  }
+
+  /**
+   * Candidates come best match first; PICKER_PAGE at a time, with a name filter once there are more.
+   * @param {string} code
+   * @param {CatalogHit[]} candidates
+   */
+  showPicker(code, candidates) {
+    setStatus("🤔", "pick a Beanie");
+    this.els.detected.textContent =
+      code + " matches " + candidates.length + " Beanies — pick yours";
+    const filter = this.els.pickerFilter;
+    filter.value = "";
+    filter.hidden = candidates.length <= App.PICKER_PAGE;
+    let shown = App.PICKER_PAGE;
+    const render = () => {
+      const q = filter.value.trim().toLowerCase();
+      const hits = q
+        ? candidates.filter((hit) =>
+            ((hit.title || "") + " " + hit.name).toLowerCase().includes(q)
+          )
+        : candidates;
+      this.els.pickerList.replaceChildren(
+        ...hits.slice(0, shown).map((hit) => this.pickerItem(hit, code))
+      );
+      const left = hits.length - shown;
+      this.els.pickerMore.hidden = left <= 0;
+      this.els.pickerMore.textContent = "Show more (" + left + " left)";
+    };
+    filter.oninput = () => {
+      shown = App.PICKER_PAGE;
+      render();
+    };
+    this.els.pickerMore.onclick = () => {
+      shown += App.PICKER_PAGE;
+      render();
+    };
+    render();
+    this.els.pickerSkip.onclick = () => {
+      this.hidePicker();
+      this.lookupWithStatus(code);
+    };
+    this.els.picker.hidden = false;
+  }
+
+  /**
+   * @param {CatalogHit} hit
+   * @param {string} code
+   * @returns {HTMLButtonElement}
+   */
+  pickerItem(hit, code) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "picker-item secondary";
+    const img = document.createElement("img");
+    img.alt = "";
+    img.loading = "lazy";
+    if (hit.image) img.src = hit.image; // absolute URL on the catalog's source site
+    img.onerror = () => {
+      img.style.visibility = "hidden";
+    };
+    const name = document.createElement("span");
+    name.textContent = hit.title || hit.name;
+    name.title = hit.name;
+    const score = document.createElement("small");
+    score.className = "muted";
+    score.textContent = "match " + (hit.match_score ?? "?") + "%";
+    btn.append(img, name, score);
+    btn.onclick = () => {
+      this.hidePicker();
+      this.lookupBeanie(hit, code);
+    };
+    return btn;
+  }
+
+  hidePicker() {
+    this.els.picker.hidden = true;
+    this.els.pickerList.innerHTML = "";
+  }
+
+  /**
+   * A typed barcode failed its check digit: offer the likely corrections (gtinRepairs)
+   * and a keyword search for what was typed.
+   * @param {string} typed
+   * @param {string[]} repairs
+   */
+  showRepairs(typed, repairs) {
+    setStatus("🤔", "check digit");
+    this.els.detected.textContent =
+      typed + " isn't a valid UPC/EAN — did you mean one of these?";
+    this.els.repairs.replaceChildren();
+    for (const code of repairs) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "secondary";
+      btn.textContent = code;
+      btn.onclick = () => {
+        this.hideRepairs();
+        this.els.manual.value = code;
+        this.lookupCode(code);
+      };
+      this.els.repairs.appendChild(btn);
+    }
+    const asTyped = document.createElement("button");
+    asTyped.type = "button";
+    asTyped.className = "secondary";
+    asTyped.textContent = "Search as typed";
+    asTyped.onclick = () => {
+      this.hideRepairs();
+      this.lookupWithStatus(typed);
+    };
+    this.els.repairs.appendChild(asTyped);
+    this.els.repairs.hidden = false;
+  }
+
+  hideRepairs() {
+    this.els.repairs.hidden = true;
+    this.els.repairs.replaceChildren();
+  }
+
+  /**
+   * Price one catalog Beanie (typeahead or picker): search by its canonical name, pinned to its SKU.
+   * @param {CatalogHit} hit
+   * @param {string} [code] the scanned barcode, when there was one
+   */
+  async lookupBeanie(hit, code) {
+    this.els.detected.textContent =
+      "Selected: " + (hit.title || hit.name) + (hit.upc ? " (UPC " + hit.upc + ")" : "");
+    await this.lookupWithStatus(hit.query || hit.title || hit.name, {
+      sku: hit.sku,
+      upc: code || hit.upc,
+    });
+  }
+
+  /**
+   * @param {string} q
+   * @param {{sku?: string, upc?: string}} [opts] upc/sku narrow the local beanies.json fallback
+   */
+  async lookupWithStatus(q, opts) {
     this.clearError();
     setStatus("⏳", "queued");
     await Promise.resolve();
     try {
       setStatus("🔎", "fetching");
-      const data = await PriceEstimator.estimate(q);
+      const sold = [];
+      const current = [];
+      let answered = 0;
+      const data = await PriceEstimator.stream(
+        q,
+        { ...opts, market: this.els.market.value },
+        (ev) => {
+          if (ev.type === "start") {
+            DISPLAY_CURRENCY = ev.currency || DISPLAY_CURRENCY;
+            return;
+          }
+          (ev.source.kind === "sold" ? sold : current).push(...ev.items);
+          if (ev.source.status === "ok") answered += 1;
+          setStatus(
+            "🔎",
+            "fetching · " + answered + " source" + (answered === 1 ? "" : "s") + " in"
+          );
+          this.renderProgress(sold, current);
+        }
+      );
+      if (data.currency) DISPLAY_CURRENCY = data.currency;
       setStatus("📈", "calculating");
-      const { itemsForTable, stats, note } = unpackEstimateResponse(data);
+      const { itemsForTable, stats, landedStats, byCondition, note, queryUsed } =
+        unpackEstimateResponse(data);
+      this.lastStats = null;
+      this.renderConditionGrid(byCondition);
 
       let rows = Array.isArray(itemsForTable) ? itemsForTable : [];
 
-      // Local fallback: if API gave nothing and q looks like a UPC/EAN with valid checksum
-      if (rows.length === 0 && isValidGTIN(q)) {
+      // Local fallback: if API gave nothing and q (or the picked Beanie) has a UPC/EAN with valid checksum
+      const localUpc = (opts && opts.upc) || q;
+      if (rows.length === 0 && canonicalGtin(localUpc)) {
         try {
-          const localRows = await localLookupByUPC(q);
+          const localRows = await localLookupByUPC(localUpc, opts && opts.sku);
           if (localRows.length) {
             rows = localRows;
 
@@ -695,9 +1873,10 @@ class App {
             };
 
             this.els.count.textContent = String(localStats.count);
-            this.els.median.textContent = usd(localStats.median);
+            // beanies.json buyback prices are USD whatever the market
+            this.els.median.textContent = money(localStats.median, "USD");
             this.els.iqr.textContent =
-              usd(localStats.p25) + "–" + usd(localStats.p75);
+              money(localStats.p25, "USD") + "–" + money(localStats.p75, "USD");
             this.els.detected.textContent =
               (note ? note + " | " : "") + "Local UPC match";
           }
@@ -715,15 +1894,23 @@ class App {
         rows.length &&
         this.els.detected.textContent.indexOf("Local UPC match") === -1
       ) {
-        this.els.count.textContent = String(stats.count || rows.length || 0);
-        this.els.median.textContent = usd(stats.median);
-        this.els.iqr.textContent = usd(stats.p25) + "–" + usd(stats.p75);
-        this.els.detected.textContent = note || "Done";
+        this.lastStats = { item: stats, landed: landedStats, rows: rows.length };
+        this.renderStats();
+        this.els.detected.textContent =
+          (note || "Done") +
+          (queryUsed && queryUsed !== q ? " · comps via “" + queryUsed + "”" : "");
       }
 
       // Render whatever we ended up with
       this.renderRows(rows);
-      setStatus("🏁", "done");
+      // degraded: a source was rate-limited, down or circuit-broken, so the comps are partial
+      if (data.degraded)
+        setStatus(
+          "⚠️",
+          "partial — unavailable: " +
+            (data.degraded_sources || data.degraded_providers || []).join(", ")
+        );
+      else setStatus("🏁", "done");
     } catch (e) {
       setStatus("❌", "error");
       this.showError(
@@ -732,20 +1919,110 @@ class App {
     }
   }
 
+  /**
+   * Interim rows and count/median/IQR while a streamed estimate is still arriving.
+   * Sold comps are shown once any arrive, like the final view.
+   * @param {PriceRow[]} sold
+   * @param {PriceRow[]} current
+   */
+  renderProgress(sold, current) {
+    const counted = sold.concat(current).filter((i) => !i.excluded_reason);
+    const summary = (vals) =>
+      vals.length ? { count: vals.length, ...stats(vals) } : { count: 0 };
+    const rows = sold.length ? sold : current;
+    this.lastStats = {
+      item: summary(counted.map((i) => i.price).filter(Number.isFinite)),
+      landed: summary(counted.map((i) => i.total).filter(Number.isFinite)),
+      rows: rows.length,
+    };
+    this.renderStats();
+    this.renderRows(rows);
+  }
+
+  /**
+   * Count, median and IQR for the last API estimate, on item price or landed (item + shipping) price.
+   */
+  renderStats() {
+    if (!this.lastStats) return;
+    const { item, landed, rows } = this.lastStats;
+    const st = this.els.landed.checked && landed ? landed : item;
+    this.els.count.textContent = String(st.count || rows || 0);
+    this.els.median.textContent = money(st.median);
+    this.els.iqr.textContent = money(st.p25) + "–" + money(st.p75);
+  }
+
+  /**
+   * Condition-by-price grid (count, median, P25–P75 per tag-condition bucket).
+   * @param {Record<string, {count:number, median:number, p25:number, p75:number}>|null} byCondition
+   */
+  renderConditionGrid(byCondition) {
+    const body = this.els.condGrid.tBodies[0];
+    body.innerHTML = "";
+    const buckets = byCondition
+      ? CONDITION_LABELS.filter(([k]) => byCondition[k] && byCondition[k].count)
+      : [];
+    this.els.condGrid.hidden = !buckets.length;
+    for (const [key, label] of buckets) {
+      const st = byCondition[key];
+      const tr = document.createElement("tr");
+      tr.innerHTML =
+        "<td>" +
+        label +
+        "</td>" +
+        "<td class='price'>" +
+        st.count +
+        "</td>" +
+        "<td class='price'>" +
+        money(st.median) +
+        "</td>" +
+        "<td class='price'>" +
+        money(st.p25) +
+        "–" +
+        money(st.p75) +
+        "</td>";
+      body.appendChild(tr);
+    }
+  }
+
   renderRows(items) {
     this.els.results.innerHTML = "";
     for (let i = 0; i < items.length; i += 1) {
       const it = items[i];
       const tr = document.createElement("tr");
+      if (it.excluded_reason) {
+        tr.className = "excluded";
+        tr.title =
+          "Not counted in stats: " +
+          it.excluded_reason.replace(/_/g, " ") +
+          (it.relevance != null ? " (relevance " + it.relevance + ")" : "");
+      }
       tr.innerHTML =
         "<td>" +
         it.title +
+        (it.excluded_reason
+          ? " <span class='tag'>" + it.excluded_reason.replace(/_/g, " ") + "</span>"
+          : "") +
         "</td>" +
         "<td class='price'>" +
-        usd(it.price) +
+        money(it.price, it.currency) +
+        (it.is_lot ? lotLabel(it) : "") +
+        (Number.isFinite(it.shipping)
+          ? " <span class='tag'>" +
+            (it.shipping ? "+" + money(it.shipping, it.currency) + " ship" : "free ship") +
+            "</span>"
+          : "") +
+        (it.original_currency
+          ? " <span class='tag'>" +
+            money(it.original_price, it.original_currency) +
+            "</span>"
+          : "") +
         "</td>" +
         "<td>" +
         (it.condition || "") +
+        (it.when_made ? " <span class='tag'>made " + it.when_made.replace(/_/g, " ") + "</span>" : "") +
+        (it.condition_bucket && it.condition_bucket !== "unknown"
+          ? " <span class='tag'>" + it.condition_bucket.replace(/_/g, " ") + "</span>"
+          : "") +
         "</td>" +
         "<td>" +
         (it.url
@@ -759,6 +2036,105 @@ class App {
     }
   }
 
+  /** Non-empty lines of the batch box. */
+  batchLines() {
+    return this.els.batchInput.value
+      .split("\n")
+      .map((l) => l.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * @param {string} code
+   * @param {string} [via] input source label
+   */
+  addToBatch(code, via) {
+    const box = this.els.batchInput;
+    box.value = box.value.replace(/\s*$/, "") + (box.value.trim() ? "\n" : "") + code;
+    this.updateBatchCount();
+    this.els.detected.textContent =
+      "Added to batch" + (via ? " via " + via : "") + ": " + code;
+    setStatus("🧺", "batch · " + this.batchLines().length);
+  }
+
+  updateBatchCount() {
+    const n = this.batchLines().length;
+    this.els.batchCount.textContent = n + (n === 1 ? " item" : " items");
+    this.els.batchPrice.disabled = !n;
+    try {
+      localStorage.setItem("bbb.batch", this.els.batchInput.value);
+    } catch {}
+  }
+
+  async priceBatch() {
+    const lines = this.batchLines();
+    if (!lines.length) return;
+    this.clearError();
+    setStatus("🧺", "pricing " + lines.length + " items");
+    this.els.batchPrice.disabled = true;
+    try {
+      const data = await PriceEstimator.batch(lines, {
+        market: this.els.market.value,
+      });
+      if (data.currency) DISPLAY_CURRENCY = data.currency;
+      this.renderBatch(data);
+      setStatus(
+        "🏁",
+        "batch done" +
+          (data.totals.unpriced ? " · " + data.totals.unpriced + " unpriced" : "")
+      );
+    } catch (e) {
+      setStatus("❌", "error");
+      this.showError("Batch failed: " + (e && e.message ? e.message : String(e)));
+    } finally {
+      this.els.batchPrice.disabled = false;
+    }
+  }
+
+  renderBatch(data) {
+    const body = this.els.batchTable.tBodies[0];
+    body.innerHTML = "";
+    for (const it of data.items) {
+      const tr = document.createElement("tr");
+      const st = it.stats || { count: 0 };
+      if (it.status !== "ok" || !st.count) tr.className = "excluded";
+      const label = document.createElement("td");
+      label.textContent = it.name || it.query;
+      if (it.name && it.input !== it.name) label.title = it.input;
+      if (it.candidates)
+        label.insertAdjacentHTML(
+          "beforeend",
+          " <span class='tag'>" + it.candidates + " Beanies share this UPC</span>"
+        );
+      if (it.status !== "ok") {
+        label.insertAdjacentHTML("beforeend", " <span class='tag'>error</span>");
+        tr.title = it.error || "";
+      }
+      tr.appendChild(label);
+      tr.insertAdjacentHTML(
+        "beforeend",
+        "<td>" +
+          it.quantity +
+          "</td>" +
+          "<td>" +
+          (st.count || 0) +
+          "</td>" +
+          "<td class='price'>" +
+          money(st.median) +
+          "</td>" +
+          "<td class='price'>" +
+          (st.count ? money(st.p25) + "–" + money(st.p75) : "—") +
+          "</td>"
+      );
+      body.appendChild(tr);
+    }
+    this.els.batchQty.textContent = String(data.totals.quantity);
+    this.els.batchMedian.textContent = money(data.totals.median);
+    this.els.batchIqr.textContent =
+      money(data.totals.p25) + "–" + money(data.totals.p75);
+    this.els.batchTable.hidden = false;
+  }
+
   showError(msg) {
     this.els.error.textContent = msg;
     this.els.error.style.display = "block";
@@ -806,7 +2182,7 @@ let __BEANIES_INDEX = null;
 
 /**
  * Load and index /beanies.json by UPC, de-duping by sku.
- * Returns a Map<upc, Array<{title,price,condition?,url?,source}>> ready for the table.
+ * Returns a Map<gtinKey, Array<{title,price,condition?,url?,source}>> ready for the table.
  */
 async function loadBeaniesIndex() {
   if (__BEANIES_INDEX) return __BEANIES_INDEX;
@@ -817,7 +2193,7 @@ async function loadBeaniesIndex() {
   const byUpc = new Map();
   for (let i = 0; i < raw.length; i++) {
     const r = raw[i] || {};
-    const upc = String(r.upc || "").replace(/\D/g, "");
+    const upc = gtinKey(String(r.upc || ""));
     if (!upc) continue;
 
     const arr = byUpc.get(upc) || [];
@@ -831,6 +2207,7 @@ async function loadBeaniesIndex() {
       price: priceNum,
       condition: undefined,
       url: r.url || r.icollect_url || undefined,
+      currency: "USD",
       source: "local",
       __sku: r.sku || undefined,
     });
@@ -841,19 +2218,22 @@ async function loadBeaniesIndex() {
 }
 
 /**
- * Lookup local rows by UPC (returns [] if none). Requires clean, checksum-valid GTIN.
+ * Lookup local rows by UPC (returns [] if none). Any spelling of a valid GTIN matches (gtinKey).
  * @param {string} upc
+ * @param {string} [sku] keep only this Beanie (after disambiguation)
  */
-async function localLookupByUPC(upc) {
-  const s = String(upc || "").replace(/\D/g, "");
-  if (!s || !isValidGTIN(s)) return [];
+async function localLookupByUPC(upc, sku) {
+  const s = gtinKey(String(upc || ""));
+  if (!s) return [];
   const idx = await loadBeaniesIndex();
-  const rows = idx.get(s) || [];
+  const all = idx.get(s) || [];
+  const rows = sku ? all.filter((r) => r.__sku === sku) : all;
   return rows.map((r) => ({
     title: r.title,
     price: r.price,
     condition: r.condition,
     url: r.url,
+    currency: r.currency,
     source: r.source,
   }));
 }
@@ -0,0 +1,152 @@
+/**
+ * GTIN helpers shared by the app (camera.js) and the Worker (src/worker.js), so a barcode
+ * is read, checked and keyed the same way on both sides.
+ *
+ * Forms:
+ *   - retail form (canonicalGtin): what is printed and sent upstream — UPC-A (12) for US/Canada
+ *     codes, else EAN-13, or EAN-8. UPC-E is expanded to its UPC-A; GTIN-14/EAN-13 zero padding is dropped.
+ *   - key (gtinKey): the retail form zero-padded to GTIN-14, for cache and catalog lookups.
+ *
+ * No DOM or Worker APIs here; both sides import this file as an ES module.
+ */
+
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+/**
+ * Mod-10 check digit for a GTIN body (every digit but the check), weights 3,1,3… from the right.
+ * @param {string} body
+ * @returns {string}
+ */
+export function gtinCheckDigit(body) {
+  let sum = 0;
+  for (let i = body.length - 1, w = 3; i >= 0; i--, w = w === 3 ? 1 : 3) sum += Number(body[i]) * w;
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * True for a string of exactly 8, 12, 13 or 14 digits with a valid check digit.
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function isGtin(code) {
+  const s = String(code ?? "");
+  return (
+    /^[0-9]+$/.test(s) &&
+    GTIN_LENGTHS.includes(s.length) &&
+    gtinCheckDigit(s.slice(0, -1)) === s[s.length - 1]
+  );
+}
+
+/**
+ * The 11-digit UPC-A body a UPC-E stands for (number system + 6 digits; check digit ignored).
+ * @param {string} d7
+ * @returns {string|null}
+ */
+function upcEBody(d7) {
+  if (!/^[01][0-9]{6}$/.test(d7)) return null;
+  const [ns, a, b, c, d, e, f] = d7;
+  if (f <= "2") return ns + a + b + f + "0000" + c + d + e;
+  if (f === "3") return ns + a + b + c + "00000" + d + e;
+  if (f === "4") return ns + a + b + c + d + "00000" + e;
+  return ns + a + b + c + d + e + "0000" + f;
+}
+
+/**
+ * Expand an 8-digit UPC-E (number system 0/1, six digits, check) to its 12-digit UPC-A.
+ * The check digit is the UPC-A's, so a mismatch means a misread.
+ * @param {string} upce
+ * @returns {string|null}
+ */
+export function expandUpcE(upce) {
+  const s = String(upce ?? "");
+  const body = s.length === 8 ? upcEBody(s.slice(0, 7)) : null;
+  return body && gtinCheckDigit(body) === s[7] ? body + s[7] : null;
+}
+
+/**
+ * Compress a UPC-A to UPC-E when its manufacturer/product digits allow it (zero-suppression).
+ * @param {string} upca
+ * @returns {string|null}
+ */
+export function compressUpcA(upca) {
+  const s = String(upca ?? "");
+  if (!isGtin(s) || s.length !== 12 || (s[0] !== "0" && s[0] !== "1")) return null;
+  const m = s.slice(1, 6), p = s.slice(6, 11);
+  const six =
+    m[3] + m[4] === "00" && m[2] <= "2" && p.startsWith("00") ? m[0] + m[1] + p.slice(2) + m[2]
+    : m[3] + m[4] === "00" && p.startsWith("000") ? m.slice(0, 3) + p.slice(3) + "3"
+    : m[4] === "0" && p.startsWith("0000") ? m.slice(0, 4) + p[4] + "4"
+    : p.startsWith("0000") && p[4] >= "5" ? m + p[4]
+    : "";
+  const upce = six && s[0] + six + s[11];
+  return upce && expandUpcE(upce) === s ? upce : null;
+}
+
+/**
+ * Retail form of a scanned or typed barcode, or null when it is not a valid GTIN.
+ * Only digits, spaces and dashes are accepted ("0 36000 29145 2"), so keyword text never
+ * turns into a barcode. An 8-digit code is ambiguous: `format` from the scanner decides
+ * ("upc_e" / "ean_8"); without one it is read as UPC-E when that expands validly and the code
+ * starts with 0 (EAN-8s starting with 0 are store-internal) or is not a valid EAN-8.
+ * @param {string} raw
+ * @param {string} [format] barcode format reported by the scanner, e.g. "upc_e"
+ * @returns {string|null}
+ */
+export function canonicalGtin(raw, format) {
+  const s = String(raw ?? "").trim();
+  if (!/^[0-9][0-9\s-]*$/.test(s)) return null;
+  let d = s.replace(/\D/g, "");
+  if (d.length === 8 && format !== "ean_8") {
+    const upca = expandUpcE(d);
+    if (upca && (format === "upc_e" || d[0] === "0" || !isGtin(d))) d = upca;
+  }
+  if (!isGtin(d)) return null;
+  if (d.length === 14 && d[0] === "0") d = d.slice(1);
+  if (d.length === 13 && d[0] === "0") d = d.slice(1);
+  return d;
+}
+
+/**
+ * GTIN-14 key for a barcode: every spelling of one code (UPC-E, UPC-A, padded EAN-13/GTIN-14)
+ * gets the same key. Null when it is not a valid GTIN.
+ * @param {string} raw
+ * @param {string} [format]
+ * @returns {string|null}
+ */
+export function gtinKey(raw, format) {
+  const c = canonicalGtin(raw, format);
+  return c ? c.padStart(14, "0") : null;
+}
+
+/**
+ * Likely corrections for a mistyped barcode, most plausible first: two neighbouring digits
+ * swapped, the check digit left off, then the check digit itself wrong. Empty when the input
+ * already is a valid GTIN or is not barcode-shaped.
+ * @param {string} raw
+ * @param {number} [max]
+ * @returns {string[]} retail forms
+ */
+export function gtinRepairs(raw, max = 8) {
+  const s = String(raw ?? "").trim();
+  if (!/^[0-9][0-9\s-]*$/.test(s) || canonicalGtin(s)) return [];
+  const d = s.replace(/\D/g, "");
+  const tries = [];
+  if (GTIN_LENGTHS.includes(d.length)) {
+    for (let i = 0; i < d.length - 1; i++) {
+      if (d[i] !== d[i + 1]) tries.push(d.slice(0, i) + d[i + 1] + d[i] + d.slice(i + 2));
+    }
+  }
+  if (d.length === 7 || d.length === 11) tries.push(d + gtinCheckDigit(d)); // EAN-8 / UPC-A body
+  if (GTIN_LENGTHS.includes(d.length)) {
+    const body = d.slice(0, -1);
+    tries.push(body + gtinCheckDigit(body));
+    const upce = d.length === 8 ? upcEBody(body) : null;
+    if (upce) tries.push(upce + gtinCheckDigit(upce));
+  }
+  const out = [];
+  for (const t of tries) {
+    const c = canonicalGtin(t);
+    if (c && !out.includes(c)) out.push(c);
+  }
+  return out.slice(0, max);
+}
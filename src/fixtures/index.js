@@ -0,0 +1,89 @@
+/**
+ * Offline fixtures: recorded upstream responses served instead of eBay/Etsy when FIXTURES is set
+ * (see upstreamFetch in src/worker.js). Each scenario maps an upstream endpoint to a status and body.
+ *
+ *   default        Browse, Insights, Finding and Etsy all answer with Peace bear listings
+ *   rate_limit     every marketplace call is throttled (HTTP 429 / Finding error 10001)
+ *   auth_failure   the OAuth token request is rejected, Finding and Etsy refuse the app id / key
+ *   empty          every search succeeds with no results
+ */
+
+import token from "./ebay-token.json";
+import tokenInvalidClient from "./ebay-token-invalid-client.json";
+import browseSearch from "./browse-search.json";
+import browseEmpty from "./browse-empty.json";
+import insightsSales from "./insights-sales.json";
+import insightsEmpty from "./insights-empty.json";
+import ebayRateLimit from "./ebay-rate-limit.json";
+import ebayAuthFailure from "./ebay-auth-failure.json";
+import findingCurrent from "./finding-current.json";
+import findingSold from "./finding-sold.json";
+import findingCurrentEmpty from "./finding-current-empty.json";
+import findingSoldEmpty from "./finding-sold-empty.json";
+import findingRateLimit from "./finding-rate-limit.json";
+import findingAuthFailure from "./finding-auth-failure.json";
+import etsyActive from "./etsy-active.json";
+import etsyEmpty from "./etsy-empty.json";
+import etsyRateLimit from "./etsy-rate-limit.json";
+import etsyAuthFailure from "./etsy-auth-failure.json";
+
+/** @typedef {"token"|"browse"|"insights"|"finding_current"|"finding_sold"|"etsy"} FixtureEndpoint */
+/** @typedef {Record<FixtureEndpoint, {status: number, body: any}>} FixtureScenario */
+
+const ok = body => ({ status: 200, body });
+
+/** @type {Record<string, FixtureScenario>} */
+export const FIXTURE_SCENARIOS = {
+  default: {
+    token: ok(token),
+    browse: ok(browseSearch),
+    insights: ok(insightsSales),
+    finding_current: ok(findingCurrent),
+    finding_sold: ok(findingSold),
+    etsy: ok(etsyActive),
+  },
+  rate_limit: {
+    token: ok(token),
+    browse: { status: 429, body: ebayRateLimit },
+    insights: { status: 429, body: ebayRateLimit },
+    // Finding reports its call limit as error 10001 on an HTTP 500
+    finding_current: { status: 500, body: findingRateLimit },
+    finding_sold: { status: 500, body: findingRateLimit },
+    etsy: { status: 429, body: etsyRateLimit },
+  },
+  auth_failure: {
+    token: { status: 401, body: tokenInvalidClient },
+    browse: { status: 401, body: ebayAuthFailure },
+    insights: { status: 401, body: ebayAuthFailure },
+    finding_current: { status: 500, body: findingAuthFailure },
+    finding_sold: { status: 500, body: findingAuthFailure },
+    etsy: { status: 403, body: etsyAuthFailure },
+  },
+  empty: {
+    token: ok(token),
+    browse: ok(browseEmpty),
+    insights: ok(insightsEmpty),
+    finding_current: ok(findingCurrentEmpty),
+    finding_sold: ok(findingSoldEmpty),
+    etsy: ok(etsyEmpty),
+  },
+};
+
+/**
+ * Which recorded endpoint an upstream URL corresponds to (null for anything we have no fixture for).
+ * @param {string} url
+ * @returns {FixtureEndpoint|null}
+ */
+export function fixtureEndpoint(url) {
+  const u = new URL(url);
+  if (u.pathname.endsWith("/identity/v1/oauth2/token")) return "token";
+  if (u.pathname.startsWith("/buy/browse/")) return "browse";
+  if (u.pathname.startsWith("/buy/marketplace_insights/")) return "insights";
+  if (u.hostname === "svcs.ebay.com") {
+    const op = u.searchParams.get("OPERATION-NAME");
+    if (op === "findItemsByKeywords") return "finding_current";
+    if (op === "findCompletedItems") return "finding_sold";
+  }
+  if (u.hostname === "openapi.etsy.com") return "etsy";
+  return null;
+}
@@ -0,0 +1,174 @@
+/**
+ * OpenAPI 3.1 description of the estimate API, served at GET /api/v2/openapi.json.
+ * Schemas are plain JSON Schema (2020-12), so `components.schemas` can be used on their own for validation.
+ * Keep in step with estimateV2() and the provider reports built in runProviders() (src/worker.js).
+ */
+
+const num = { type: ["number", "null"] }; // summarize() yields NaN for empty sets, which serializes as null
+
+const Summary = {
+  type: "object",
+  required: ["count", "median", "p25", "p75"],
+  properties: {
+    count: { type: "integer", minimum: 0 },
+    min: num, max: num, avg: num, median: num, p25: num, p75: num, avg_trimmed: num,
+  },
+};
+
+const StatsTriple = {
+  type: "object",
+  required: ["current", "sold", "combined"],
+  properties: { current: { $ref: "#/components/schemas/Summary" }, sold: { $ref: "#/components/schemas/Summary" }, combined: { $ref: "#/components/schemas/Summary" } },
+};
+
+const PriceRow = {
+  type: "object",
+  required: ["title", "price", "source"],
+  properties: {
+    title: { type: "string" },
+    price: { type: "number", description: "In the response currency; per-unit for sized lots (LOT_MODE=per_unit)" },
+    currency: { type: "string" },
+    shipping: { type: "number" },
+    total: { type: "number", description: "price + shipping (unknown shipping counts as 0)" },
+    original_price: { type: "number" },
+    original_currency: { type: "string" },
+    condition: { type: "string" },
+    when_made: { type: "string", description: "Etsy only: when the item was made (e.g. \"1990s\", \"before_2006\"); not a condition" },
+    condition_bucket: { enum: ["nwt", "tag_damaged", "no_tag", "used", "unknown"] },
+    url: { type: "string" },
+    source: { type: "string" },
+    sold_at: { type: "string" },
+    relevance: { type: "number", minimum: 0, maximum: 1 },
+    excluded_reason: { enum: ["low_match", "wrong_line", "accessory", "lot", "currency", null], description: "currency: no FX rate to convert it" },
+    is_lot: { type: "boolean" },
+    lot_size: { type: ["integer", "null"] },
+    lot_price: { type: "number" },
+  },
+};
+
+const ErrorCode = {
+  enum: ["RATE_LIMITED", "AUTH_MISSING", "AUTH_DENIED", "AUTH_FAILED", "UPSTREAM_5XX", "UPSTREAM_4XX", "TIMEOUT", "CIRCUIT_OPEN", "UPSTREAM_ERROR"],
+  description:
+    "RATE_LIMITED: upstream quota hit. AUTH_MISSING: credentials not configured. AUTH_DENIED: keyset lacks the API scope. " +
+    "AUTH_FAILED: credentials rejected (token request, 401/403). UPSTREAM_5XX/4XX: upstream HTTP error. TIMEOUT: no answer within the provider timeout. " +
+    "CIRCUIT_OPEN: skipped while the circuit breaker is open. UPSTREAM_ERROR: anything else (parse errors, API error payloads).",
+};
+
+const EstimateSource = {
+  type: "object",
+  required: ["provider", "label", "kind", "query", "status", "ms", "count", "error"],
+  properties: {
+    provider: { type: "string", examples: ["ebay_current_browse", "ebay_sold_insights", "etsy_current"] },
+    label: { type: "string" },
+    kind: { enum: ["current", "sold"] },
+    query: { type: "string", description: "The query this run used (expansion queries get their own entries)" },
+    status: { enum: ["ok", "error", "timeout", "rate_limited", "circuit_open", "skipped", "disabled"] },
+    ms: { type: ["integer", "null"] },
+    count: { type: "integer", minimum: 0 },
+    error: {
+      oneOf: [
+        { type: "null" },
+        { type: "object", required: ["code", "message"], properties: { code: { $ref: "#/components/schemas/ErrorCode" }, message: { type: "string" } } },
+      ],
+    },
+  },
+};
+
+const Stats = {
+  type: "object",
+  required: ["current", "sold", "combined", "by_condition", "landed"],
+  properties: {
+    current: { $ref: "#/components/schemas/Summary" },
+    sold: { $ref: "#/components/schemas/Summary" },
+    combined: { $ref: "#/components/schemas/Summary" },
+    by_condition: { type: "object", additionalProperties: { $ref: "#/components/schemas/Summary" } },
+    landed: { $ref: "#/components/schemas/StatsTriple" },
+  },
+};
+
+const EstimateV2 = {
+  type: "object",
+  required: ["api_version", "query", "query_used", "queries", "market", "currency", "items", "stats", "sources", "degraded", "degraded_sources", "cache"],
+  properties: {
+    api_version: { const: 2 },
+    query: { type: "string" },
+    query_used: { type: "string" },
+    queries: { type: "array", items: { type: "object", required: ["query", "count"], properties: { query: { type: "string" }, count: { type: "integer" } } } },
+    market: { type: "string" },
+    currency: { type: "string" },
+    items: {
+      type: "object",
+      required: ["current", "sold"],
+      properties: { current: { type: "array", items: { $ref: "#/components/schemas/PriceRow" } }, sold: { type: "array", items: { $ref: "#/components/schemas/PriceRow" } } },
+    },
+    stats: { $ref: "#/components/schemas/Stats" },
+    sources: { type: "array", items: { $ref: "#/components/schemas/EstimateSource" } },
+    degraded: { type: "boolean" },
+    degraded_sources: { type: "array", items: { type: "string" } },
+    cache: { type: "object", required: ["status", "age"], properties: { status: { enum: ["hit", "stale", "miss", "bypass"] }, age: { type: "integer" } } },
+    beanie: { type: ["object", "null"], description: "Catalog entry for `sku`, when given" },
+  },
+};
+
+const ErrorResponse = {
+  type: "object",
+  required: ["error"],
+  properties: { error: { type: "string" }, retry_after: { type: "integer" }, tier: { enum: ["anon", "key"] } },
+};
+
+// No provider has credentials; keeps the v1 payload shape so old clients render an empty result
+const NotConfigured = {
+  type: "object",
+  required: ["items_current", "items_sold", "stats", "note"],
+  properties: {
+    items_current: { type: "array", maxItems: 0 },
+    items_sold: { type: "array", maxItems: 0 },
+    stats: { type: "object" },
+    note: { type: "string", examples: ["EBAY_CLIENT_ID/EBAY_CLIENT_SECRET/ETSY_API_KEY not set"] },
+  },
+};
+
+const param = (name, description, extra) => ({ name, in: "query", description, schema: { type: "string" }, ...extra });
+const errorBody = description => ({ description, content: { "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } } } });
+
+export const OPENAPI = {
+  openapi: "3.1.0",
+  jsonSchemaDialect: "https://json-schema.org/draft/2020-12/schema",
+  info: { title: "Beanie Baby Buddy estimate API", version: "2.0.0" },
+  paths: {
+    "/api/v2/estimate": {
+      get: {
+        summary: "Price comps and stats for a query, with per-source results",
+        parameters: [
+          param("query", "Keywords or a UPC/EAN", { required: true }),
+          param("sku", "Catalog SKU to price (from /api/catalog)"),
+          param("market", "eBay marketplace id, e.g. EBAY_GB"),
+          param("currency", "Display currency (defaults to the market's)"),
+          param("fresh", "1 bypasses the estimate cache", { schema: { enum: ["1"] } }),
+        ],
+        security: [{}, { apiKey: [] }, { bearer: [] }],
+        responses: {
+          200: {
+            description: "Estimate",
+            headers: { "x-cache-status": { schema: { enum: ["hit", "stale", "miss", "bypass"] } }, age: { schema: { type: "integer" } } },
+            content: { "application/json": { schema: { $ref: "#/components/schemas/EstimateV2" } } },
+          },
+          400: errorBody("Missing or invalid parameter"),
+          401: errorBody("Unknown API key"),
+          429: { ...errorBody("Rate limited"), headers: { "retry-after": { schema: { type: "integer" } } } },
+          500: {
+            description: "Server not configured: no provider credentials (NotConfigured), or an unknown FIXTURES scenario (ErrorResponse)",
+            content: { "application/json": { schema: { oneOf: [{ $ref: "#/components/schemas/NotConfigured" }, { $ref: "#/components/schemas/ErrorResponse" }] } } },
+          },
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      apiKey: { type: "apiKey", in: "header", name: "x-api-key", description: "Internal tools; raises the rate limit" },
+      bearer: { type: "http", scheme: "bearer" },
+    },
+    schemas: { Summary, StatsTriple, PriceRow, ErrorCode, EstimateSource, Stats, EstimateV2, ErrorResponse, NotConfigured },
+  },
+};
@@ -1,35 +1,219 @@
 /**
- * eBay Estimator (compat API) — Now with Browse (OAuth) for current listings when query is a UPC.
+ * eBay Estimator (compat API) — Now with Browse (OAuth) for current listings when query is a UPC,
+ * plus Etsy v3 active listings when ETSY_API_KEY is set.
  *
  * API (unchanged):
- *   GET /api/estimate?query=<string>
- *   -> { items_current, items_sold, stats: { current, sold, combined }, note }
+ *   GET /api/estimate?query=<string>[&sku=<catalog sku>][&market=EBAY_GB][&currency=GBP]
+ *   -> { items_current, items_sold, stats: { current, sold, combined, by_condition, landed }, note, providers, query_used, queries,
+ *        market, currency, degraded, degraded_providers?, beanie? }
+ *      (beanie = catalog entry for `sku`, when given)
+ *
+ * API v2:
+ *   GET /api/v2/estimate   same parameters as v1
+ *   -> { api_version: 2, query, query_used, queries, market, currency, items: { current, sold }, stats,
+ *        sources: [{ provider, label, kind, query, status, ms, count, error: { code, message } | null }],
+ *        degraded, degraded_sources, cache: { status, age }, beanie? }
+ *   Error codes: RATE_LIMITED, AUTH_MISSING, AUTH_DENIED, AUTH_FAILED, UPSTREAM_5XX, UPSTREAM_4XX, TIMEOUT,
+ *   CIRCUIT_OPEN, UPSTREAM_ERROR. OpenAPI 3.1 document: GET /api/v2/openapi.json (src/openapi.js).
+ *   v1 stays as is; its `providers` entries now also carry `code`.
+ *
+ * Streaming:
+ *   GET /api/estimate/stream   same parameters; NDJSON (or SSE with Accept: text/event-stream / format=sse) events
+ *   start { query, market, currency } -> source { source, items } per provider as it answers -> done (v2 payload
+ *   without items) | error { error }.
+ *
+ * Batch:
+ *   POST /api/estimate/batch { items: (string | { query, sku })[], market?, currency? }   (<= 50 items)
+ *   -> { market, currency, count, unique, items: [{ input, query, quantity, sku?, name?, candidates?, status,
+ *        stats: { count, median, p25, p75 }, cache, query_used, degraded } | { …, status: "error", error }],
+ *        totals: { median, p25, p75, quantity, unpriced } }
+ *   Repeated lines are priced once (quantity counts them); a batch costs one rate-limit token per unique item
+ *   that isn't fresh in the estimate cache (each of those can go upstream), and at least one.
+ *
+ * Barcodes (public/gtin.js, shared with the app):
+ *   A query made only of digits, spaces and dashes that is a valid GTIN is canonicalized first: UPC-E expands
+ *   to UPC-A and EAN-13/GTIN-14 zero padding is dropped, so `query` echoes that form and every spelling of one
+ *   code shares a cache entry (keyed by GTIN-14). Anything else, including bad check digits, is a keyword query.
+ *
+ * Query expansion:
+ *   Sellers rarely type barcodes, so a GTIN query returning fewer than GTIN_MIN_COMPS (default 5) comps that
+ *   count in stats (excluded rows don't) is resolved through the catalog and re-run as "Ty Beanie Baby <name>"
+ *   style queries. `query_used` names the query that produced the most comps; `queries` lists every query tried
+ *   with its comp count.
+ *
+ * Relevance:
+ *   Every item carries `relevance` (0-1) against the target Beanie's name (or the keyword query) and an
+ *   `excluded_reason` (low_match | wrong_line | accessory, else null). Excluded items stay in the lists
+ *   but are left out of `stats`. wrong_line needs a known target line: the catalog entry's, or one the keyword
+ *   query names ("slush beanie boo" keeps Boos listings); a plain name query marks nothing wrong_line.
+ *
+ * Lots:
+ *   Titles like "Lot of 12 Beanie Babies", "2 pack", "set of three" or "Peace bear + Garcia" get `is_lot` and
+ *   `lot_size`. With LOT_MODE=per_unit (default) a known-size lot of the target ("Lot of 3 Peace bears") has its
+ *   `price` become the per-unit estimate and the listing price moves to `lot_price`; mixed lots ("incl",
+ *   "assorted", names joined by +/&/and), lots that don't name the target ("Lot of 12 Beanie Babies"),
+ *   unknown-size lots and all lots with LOT_MODE=exclude get excluded_reason "lot".
+ *
+ * Markets and currency:
+ *   `market` picks the eBay marketplace (EBAY_US, EBAY_GB, EBAY_DE, EBAY_AU, …; default X_EBAY_MARKETPLACE_ID).
+ *   Prices are converted into `currency` (default: the market's own) with the FX_RATES table; every item keeps
+ *   `currency`, plus `original_price`/`original_currency` when it was converted.
+ *
+ * Shipping:
+ *   Items carry `shipping` when the source reports a fixed cost (Finding shippingInfo, Browse shippingOptions)
+ *   and `total` = price + shipping (unknown shipping counts as 0). `stats.landed` mirrors current/sold/combined
+ *   on `total` instead of item price.
+ *
+ * Conditions:
+ *   Each item gets a `condition_bucket` (nwt | tag_damaged | no_tag | used | unknown) from its condition text
+ *   and title keywords; `stats.by_condition` summarizes current+sold per bucket.
+ *
+ * Providers:
+ *   Each marketplace source is a Provider registered in PROVIDERS. Enabled providers run in
+ *   parallel; providers sharing a `group` are fallbacks for each other and run in `order`.
  *
  * Env:
  *   EBAY_CLIENT_ID
  *   EBAY_CLIENT_SECRET
  *   X_EBAY_MARKETPLACE_ID      // optional; defaults to EBAY_US
+ *   ETSY_API_KEY               // optional; enables Etsy active listings (keystring)
+ *   GTIN_MIN_COMPS             // optional; comps a UPC query needs before name expansion kicks in (default 5)
+ *   LOT_MODE                   // optional; "per_unit" (default) or "exclude" for multi-item listings
+ *   FX_RATES                   // optional; JSON { "GBP": 0.79, ... } units per USD, merged over built-in defaults
+ *   ESTIMATE_KV                // optional KV binding for the durable estimate cache (Cache API otherwise)
+ *   CACHE_TTLS                 // optional; JSON { "<provider name>": seconds } freshness overrides
+ *   CACHE_STALE_SEC            // optional; how long past freshness an entry may be served stale (default 86400)
+ *   API_KEYS                   // optional secret; comma-separated keys for internal tools (x-api-key or Bearer)
+ *   RATE_LIMITS                // optional; JSON { anon: { rate, burst }, key: { rate, burst } }, rate in tokens/sec
+ *   APP_VERSION                // optional; version stamped on client log lines (else CF_VERSION_METADATA tag/id)
+ *   FIXTURES                   // dev only; serve recorded upstream responses: 1|default, rate_limit, auth_failure, empty
+ *
+ * Sold comps come from Marketplace Insights (needs the buy.marketplace.insights scope on the
+ * keyset); the retired Finding findCompletedItems call remains only as a fallback.
+ *
+ * Catalog (public/beanies.json, loaded through the ASSETS binding and deduped by SKU):
+ *   GET /api/catalog?page=<n>&per_page=<n>   -> { total, page, per_page, pages, items }
+ *   GET /api/catalog/upc/<gtin>              -> { gtin, count, items }   (best match_score first; items carry title/query;
+ *                                               gtin is the canonical form, so UPC-E and padded EAN-13/GTIN-14 match too)
+ *   GET /api/catalog/sku/<sku>               -> CatalogEntry
+ *   GET /api/catalog/search?q=<text>&limit=<n> -> { q, count, items }  (typo-tolerant, ranked; items carry title/query/score)
+ *
+ * Rate limiting:
+ *   /api/estimate is throttled with token buckets: anonymous callers per CF-Connecting-IP (default 20/min,
+ *   burst 20), callers presenting a key from API_KEYS per key (default 300/min, burst 100). Over the limit
+ *   -> 429 with Retry-After; an unknown key -> 401. A batch costs one token per line the cache can't answer;
+ *   one needing more than the burst -> 413 (split it, or use a key).
+ *
+ * Client logs:
+ *   POST /log { batch: [{ ts, level, msg, meta, count? }] }   (x-bbb-debug header required, <= 32 KB, <= 50 entries)
+ *   -> { ok, accepted }; entries are logged as JSON lines with ua/colo/country/app_version attached.
+ *   GET /api/logs?limit=<n>   (API_KEYS key required) -> { count, capacity, items }  recent errors, per isolate
+ *
+ * Fixtures (offline development):
+ *   FIXTURES=1 (or a scenario name: rate_limit, auth_failure, empty) answers every Finding, Browse, Insights,
+ *   OAuth token and Etsy call from the recorded responses in src/fixtures, with placeholder credentials, so
+ *   `wrangler dev --var FIXTURES:1` needs no keys and spends no quota. Caches and breakers are scoped per scenario.
+ *
+ * Resilience:
+ *   Concurrent identical provider calls (and estimate builds) in an isolate share one upstream request. A
+ *   circuit breaker, shared through the Cache API, skips a provider for 5 min after a rate limit, or for 1 min
+ *   after 3 5xx/timeouts within 2 min; it reports status "circuit_open" and the payload is marked `degraded`
+ *   with the providers that came up empty.
  *
  * Caching:
- *   - Result cache: in-memory Map for 15 minutes
+ *   - Result cache: per-isolate Map in front of a durable tier — the ESTIMATE_KV binding when bound, else the
+ *     Workers Cache API. Entries are fresh for the shortest TTL among the providers that answered (CACHE_TTLS
+ *     JSON overrides per provider name, defaults 15 min current / 6 h sold), then served stale for up to
+ *     CACHE_STALE_SEC while a background refresh runs. ?fresh=1 bypasses the read. Responses carry
+ *     `x-cache-status: hit|stale|miss|bypass` and `age`.
  *   - OAuth token cache: in-memory + Workers Cache API. TTL derived from expires_in.
  *
  */
 
+import { OPENAPI } from "./openapi.js";
+import { FIXTURE_SCENARIOS, fixtureEndpoint } from "./fixtures/index.js";
+import { canonicalGtin, gtinKey } from "../public/gtin.js";
+
+// Per-isolate L1 in front of the durable estimate cache (KV or Cache API); also the dev stand-in when neither exists
 const CACHE = new Map();
-const TTL_MS = 15 * 60 * 1000;
+const CACHE_L1_MAX = 500;
+// Default freshness per provider kind (seconds); sold comps move slower than live listings
+const DEFAULT_CACHE_TTL = { current: 15 * 60, sold: 6 * 60 * 60 };
+const CACHE_STALE_SEC = 24 * 60 * 60;
+const CACHE_ERROR_TTL_SEC = 60;
+const CACHE_DEGRADED_TTL_SEC = 2 * 60;
+// Keys with a background refresh in flight in this isolate
+const REFRESHING = new Set();
 
-// Per-isolate OAuth memo
-let TOKEN_MEMO = { access_token: null, expires_at: 0, scope_key: "" };
+// Per-isolate OAuth memo, keyed by scope string
+const TOKEN_MEMO = new Map();
 const BROWSE_SCOPE = "https://api.ebay.com/oauth/api_scope";
+const INSIGHTS_SCOPE = "https://api.ebay.com/oauth/api_scope/buy.marketplace.insights";
+
+// Per-isolate "this keyset has no Marketplace Insights access" memo, so we stop asking for a while
+let INSIGHTS_DENIED_UNTIL = 0;
+const INSIGHTS_DENIED_TTL_MS = 60 * 60 * 1000;
+
+// Active FIXTURES scenario ("" when live); set from env at the top of every request
+let FIXTURES = "";
+
+/**
+ * The fixtures scenario env.FIXTURES asks for: "1"/"true" mean "default"; unset, "0" and "false" mean live.
+ * @param {any} env
+ * @returns {string}
+ */
+function fixturesScenario(env) {
+  const v = String(env.FIXTURES || "").trim().toLowerCase();
+  if (!v || v === "0" || v === "false") return "";
+  return v === "1" || v === "true" ? "default" : v;
+}
+
+/**
+ * Cache/memo key prefix that keeps fixture results, tokens and breaker state apart from live ones
+ * (and from other scenarios).
+ */
+function fixtureScope() {
+  return FIXTURES ? "fixtures:" + FIXTURES + "|" : "";
+}
+
+/**
+ * fetch() for marketplace APIs. In fixtures mode the recorded response for the active scenario is
+ * returned instead (src/fixtures); URLs without a fixture get a 404 so the failure is visible.
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>}
+ */
+async function upstreamFetch(url, init) {
+  if (!FIXTURES) return fetch(url, init);
+  const endpoint = fixtureEndpoint(url);
+  const fixture = endpoint && FIXTURE_SCENARIOS[FIXTURES] && FIXTURE_SCENARIOS[FIXTURES][endpoint];
+  if (!fixture) return new Response(JSON.stringify({ error: "No fixture for " + url }), { status: 404, headers: { "content-type": "application/json" } });
+  return new Response(JSON.stringify(fixture.body), { status: fixture.status, headers: { "content-type": "application/json" } });
+}
+
+// eBay marketplaces we accept in ?market=, with their Finding GLOBAL-ID and home currency
+const MARKETS = {
+  EBAY_US: { globalId: "EBAY-US", currency: "USD" },
+  EBAY_GB: { globalId: "EBAY-GB", currency: "GBP" },
+  EBAY_DE: { globalId: "EBAY-DE", currency: "EUR" },
+  EBAY_FR: { globalId: "EBAY-FR", currency: "EUR" },
+  EBAY_IT: { globalId: "EBAY-IT", currency: "EUR" },
+  EBAY_ES: { globalId: "EBAY-ES", currency: "EUR" },
+  EBAY_AU: { globalId: "EBAY-AU", currency: "AUD" },
+  EBAY_CA: { globalId: "EBAY-ENCA", currency: "CAD" }
+};
+
+// Units of each currency per 1 USD. Rough defaults; override with the FX_RATES var (same JSON shape).
+const DEFAULT_FX_RATES = { USD: 1, GBP: 0.79, EUR: 0.92, AUD: 1.52, CAD: 1.37 };
 
 /**
  * @param {any} body
  * @param {number} [status=200]
+ * @param {Record<string,string>} [headers]
  * @returns {Response}
  */
-function json(body, status) {
-  return new Response(JSON.stringify(body), { status: status || 200, headers: { "content-type": "application/json" } });
+function json(body, status, headers) {
+  return new Response(JSON.stringify(body), { status: status || 200, headers: { "content-type": "application/json", ...headers } });
 }
 
 /**
@@ -64,17 +248,21 @@ async function ebayFinding(op, params, appId) {
   url.searchParams.set("REST-PAYLOAD", "true");
   for (const [k, v] of Object.entries(params)) url.searchParams.set(k, String(v));
 
-  const res = await fetch(url.toString(), { headers: { "Accept": "application/json" } });
+  const res = await upstreamFetch(url.toString(), { headers: { "Accept": "application/json" } });
   const text = await res.text();
   let data = {};
-  try { data = JSON.parse(text); } catch { throw new Error("Finding parse error: " + text.slice(0, 200)); }
+  try { data = JSON.parse(text); } catch { throw Object.assign(new Error("Finding parse error: " + text.slice(0, 200)), { status: res.status, rateLimited: res.status === 429 }); }
 
-  const err = data && data.errorMessage && data.errorMessage.error && data.errorMessage.error[0];
+  // JSON-format Finding wraps every field in an array, errorMessage included
+  const em = data && (Array.isArray(data.errorMessage) ? data.errorMessage[0] : data.errorMessage);
+  const err = em && em.error && em.error[0];
   if (err) {
     const code = String(err.errorId && err.errorId[0] || "");
     const msg = String(err.message && err.message[0] || "");
-    if (code === "10001") throw Object.assign(new Error("Finding rate limit: " + msg), { rateLimited: true });
-    throw new Error("Finding error " + code + ": " + msg);
+    if (code === "10001") throw Object.assign(new Error("Finding rate limit: " + msg), { status: res.status, rateLimited: true });
+    // Security-domain errors (bad or revoked app id) are credential problems, not outages
+    const security = String(err.domain && err.domain[0] || "") === "Security";
+    throw Object.assign(new Error("Finding error " + code + ": " + msg), { status: res.status, authFailed: security });
   }
   return data;
 }
@@ -92,9 +280,15 @@ function mapFindingItems(arr, sourceTag) {
     const selling = it.sellingStatus && it.sellingStatus[0] || {};
     const priceObj = selling.currentPrice && selling.currentPrice[0] || {};
     const price = Number(priceObj.__value__ || NaN);
+    const currency = priceObj["@currencyId"] || undefined;
     const url = it.viewItemURL && it.viewItemURL[0] || undefined;
     const cond = it.condition && it.condition[0] && it.condition[0].conditionDisplayName && it.condition[0].conditionDisplayName[0] || undefined;
-    if (Number.isFinite(price)) items.push({ title, price, condition: cond, url, source: sourceTag });
+    // shippingServiceCost is absent for "Calculated" shipping; "Free" may omit it too
+    const ship = it.shippingInfo && it.shippingInfo[0] || {};
+    const shipType = ship.shippingType && ship.shippingType[0] || "";
+    const shipCost = ship.shippingServiceCost && ship.shippingServiceCost[0];
+    const shipping = shipType === "Free" ? 0 : shipCost ? Number(shipCost.__value__) : undefined;
+    if (Number.isFinite(price)) items.push({ title, price, currency, shipping: Number.isFinite(shipping) ? shipping : undefined, condition: cond, url, source: sourceTag });
   }
   return items;
 }
@@ -103,10 +297,12 @@ function mapFindingItems(arr, sourceTag) {
  * Current items via Finding (keywords; optional UPC filter).
  * @param {string} q
  * @param {string} appId
+ * @param {string} [globalId]  Finding site id, e.g. EBAY-GB; defaults to EBAY-US
  */
-async function searchFindingCurrent(q, appId) {
-  const isDigits = /^[0-9]{8,14}$/.test(q);
-  const params = isDigits ? { keywords: q, "itemFilter(0).name": "UPC", "itemFilter(0).value": q, "paginationInput.entriesPerPage": "50" } : { keywords: q, "paginationInput.entriesPerPage": "50" };
+async function searchFindingCurrent(q, appId, globalId) {
+  const isGtin = isGtinQuery(q);
+  const params = isGtin ? { keywords: q, "itemFilter(0).name": "UPC", "itemFilter(0).value": q, "paginationInput.entriesPerPage": "50" } : { keywords: q, "paginationInput.entriesPerPage": "50" };
+  params["GLOBAL-ID"] = globalId || "EBAY-US";
   const data = await ebayFinding("findItemsByKeywords", params, appId);
   const arr = (((data.findItemsByKeywordsResponse || [])[0] || {}).searchResult || [])[0] || {};
   const list = Array.isArray(arr.item) ? arr.item : [];
@@ -118,11 +314,12 @@ async function searchFindingCurrent(q, appId) {
  * Sold items via Finding (findCompletedItems + SoldItemsOnly true).
  * @param {string} q
  * @param {string} appId
+ * @param {string} [globalId]  Finding site id, e.g. EBAY-GB; defaults to EBAY-US
  */
-async function searchFindingSold(q, appId) {
-  const isDigits = /^[0-9]{8,14}$/.test(q);
-  const params = { keywords: q, "itemFilter(0).name": "SoldItemsOnly", "itemFilter(0).value": "true", "paginationInput.entriesPerPage": "50" };
-  if (isDigits) { params["itemFilter(1).name"] = "UPC"; params["itemFilter(1).value"] = q; }
+async function searchFindingSold(q, appId, globalId) {
+  const isGtin = isGtinQuery(q);
+  const params = { keywords: q, "itemFilter(0).name": "SoldItemsOnly", "itemFilter(0).value": "true", "paginationInput.entriesPerPage": "50", "GLOBAL-ID": globalId || "EBAY-US" };
+  if (isGtin) { params["itemFilter(1).name"] = "UPC"; params["itemFilter(1).value"] = q; }
   const data = await ebayFinding("findCompletedItems", params, appId);
   const arr = (((data.findCompletedItemsResponse || [])[0] || {}).searchResult || [])[0] || {};
   const list = Array.isArray(arr.item) ? arr.item : [];
@@ -138,35 +335,38 @@ async function searchFindingSold(q, appId) {
  */
 async function getAppTokenCached(env, scopes) {
   const now = Date.now();
-  if (TOKEN_MEMO.access_token && TOKEN_MEMO.expires_at > now + 60_000 && TOKEN_MEMO.scope_key === scopes) return TOKEN_MEMO.access_token;
+  const memoKey = fixtureScope() + scopes;
+  const memo = TOKEN_MEMO.get(memoKey);
+  if (memo && memo.expires_at > now + 60_000) return memo.access_token;
 
   const cache = caches.default;
-  const keyReq = new Request("https://token-cache/ebay/app?scope=" + encodeURIComponent(scopes), { method: "GET" });
+  const keyReq = new Request("https://token-cache/ebay/app?scope=" + encodeURIComponent(memoKey), { method: "GET" });
   const cached = await cache.match(keyReq);
   if (cached && cached.ok) {
     const data = await cached.json();
     if (data?.access_token && data?.expires_at && data.expires_at > now + 60_000) {
-      TOKEN_MEMO = { access_token: data.access_token, expires_at: data.expires_at, scope_key: scopes };
+      TOKEN_MEMO.set(memoKey, { access_token: data.access_token, expires_at: data.expires_at });
       return data.access_token;
     }
   }
 
   const clientId = env.EBAY_CLIENT_ID, clientSecret = env.EBAY_CLIENT_SECRET;
-  if (!clientId || !clientSecret) throw new Error("Browse token requested but EBAY_CLIENT_ID/EBAY_CLIENT_SECRET missing");
+  if (!clientId || !clientSecret) throw Object.assign(new Error("Browse token requested but EBAY_CLIENT_ID/EBAY_CLIENT_SECRET missing"), { authMissing: true });
 
   const basic = btoa(`${clientId}:${clientSecret}`);
   const body = new URLSearchParams({ grant_type: "client_credentials", scope: scopes });
 
-  const res = await fetch("https://api.ebay.com/identity/v1/oauth2/token", { method: "POST", headers: { "authorization": `Basic ${basic}`, "content-type": "application/x-www-form-urlencoded" }, body });
+  const res = await upstreamFetch("https://api.ebay.com/identity/v1/oauth2/token", { method: "POST", headers: { "authorization": `Basic ${basic}`, "content-type": "application/x-www-form-urlencoded" }, body });
   if (!res.ok) {
     const text = await res.text();
-    throw new Error(`Token fetch failed ${res.status}: ${text.slice(0, 400)}`);
+    // invalid_scope means the keyset is not approved for this API (e.g. Marketplace Insights)
+    throw Object.assign(new Error(`Token fetch failed ${res.status}: ${text.slice(0, 400)}`), { status: res.status, authFailed: true, scopeDenied: /invalid_scope/.test(text) });
   }
   const tok = await res.json(); // { access_token, expires_in, token_type, ... }
   const expires_in = Math.max(60, Number(tok.expires_in || 0));
   const expires_at = Date.now() + expires_in * 1000;
 
-  TOKEN_MEMO = { access_token: tok.access_token, expires_at, scope_key: scopes };
+  TOKEN_MEMO.set(memoKey, { access_token: tok.access_token, expires_at });
 
   // Cache API with TTL ~ 90% of expires_in
   const ttlSec = Math.max(60, Math.floor(expires_in * 0.9));
@@ -190,11 +390,11 @@ async function searchBrowseCurrentByQ(q, limit, market, token) {
   url.searchParams.set("q", q);
   url.searchParams.set("limit", String(Math.min(Math.max(1, limit || 50), 200)));
 
-  const res = await fetch(url.toString(), { headers: { "authorization": `Bearer ${token}`, "x-ebay-c-marketplace-id": market || "EBAY_US", "accept": "application/json" } });
+  const res = await upstreamFetch(url.toString(), { headers: { "authorization": `Bearer ${token}`, "x-ebay-c-marketplace-id": market || "EBAY_US", "accept": "application/json" } });
   if (!res.ok) {
     // Let caller fallback to Finding.
     const txt = await res.text();
-    throw new Error(`Browse q failed ${res.status}: ${txt.slice(0, 200)}`);
+    throw Object.assign(new Error(`Browse q failed ${res.status}: ${txt.slice(0, 200)}`), { status: res.status, rateLimited: res.status === 429 });
   }
 
   const data = await res.json();
@@ -203,90 +403,1714 @@ async function searchBrowseCurrentByQ(q, limit, market, token) {
   for (const it of arr) {
     const title = it?.title || "";
     const val = Number(it?.price?.value || NaN);
-    const currency = it?.price?.currency || undefined; // you don't surface currency in items_current, so we ignore; stats still use price only
+    const currency = it?.price?.currency || undefined;
     const url = it?.itemWebUrl || undefined;
     const condition = typeof it?.condition === "string" ? it.condition : undefined;
-    if (Number.isFinite(val)) items.push({ title, price: val, condition, url, source: "ebay_current_browse" });
+    // Cheapest listed option; CALCULATED options have no fixed cost
+    const costs = (Array.isArray(it?.shippingOptions) ? it.shippingOptions : []).map(o => Number(o?.shippingCost?.value)).filter(Number.isFinite);
+    const shipping = costs.length ? Math.min(...costs) : undefined;
+    if (Number.isFinite(val)) items.push({ title, price: val, currency, shipping, condition, url, source: "ebay_current_browse" });
   }
   return { items, note: "eBay Browse (current via q)" };
 }
 
-export default {
-  async fetch(req, env) {
-    const url = new URL(req.url);
+/**
+ * Sold items via Marketplace Insights item_sales/search (last 90 days of sales).
+ * Uses gtin= for UPC-ish queries, q= otherwise. Access is limited to approved keysets:
+ * a 403 is thrown as `insightsDenied` so the caller can fall back to Finding.
+ * @param {string} q
+ * @param {number} limit
+ * @param {string} market
+ * @param {string} token
+ * @returns {Promise<{items: Array<{title:string,price:number,condition?:string,url?:string,source:string,sold_at?:string}>, note: string}>}
+ */
+async function searchInsightsSold(q, limit, market, token) {
+  const url = new URL("https://api.ebay.com/buy/marketplace_insights/v1_beta/item_sales/search");
+  if (isGtinQuery(q)) url.searchParams.set("gtin", q);
+  else url.searchParams.set("q", q);
+  url.searchParams.set("limit", String(Math.min(Math.max(1, limit || 50), 200)));
 
-    if (url.pathname === "/api/estimate") {
-      const q = (url.searchParams.get("query") || "").trim();
-      if (!q) return json({ error: "Missing query" }, 400);
+  const res = await upstreamFetch(url.toString(), { headers: { "authorization": `Bearer ${token}`, "x-ebay-c-marketplace-id": market || "EBAY_US", "accept": "application/json" } });
+  if (!res.ok) {
+    const txt = await res.text();
+    const err = new Error(`Insights sold failed ${res.status}: ${txt.slice(0, 200)}`);
+    throw Object.assign(err, { status: res.status, rateLimited: res.status === 429, insightsDenied: res.status === 403 });
+  }
+
+  const data = await res.json();
+  const arr = Array.isArray(data?.itemSales) ? data.itemSales : [];
+  const items = [];
+  for (const it of arr) {
+    const title = it?.title || "";
+    const val = Number(it?.lastSoldPrice?.value || NaN);
+    const currency = it?.lastSoldPrice?.currency || undefined;
+    const url = it?.itemWebUrl || undefined;
+    const condition = typeof it?.condition === "string" ? it.condition : undefined;
+    const sold_at = typeof it?.lastSoldDate === "string" ? it.lastSoldDate : undefined;
+    if (Number.isFinite(val)) items.push({ title, price: val, currency, condition, url, source: "ebay_sold_insights", sold_at });
+  }
+  return { items, note: "eBay Marketplace Insights (sold)" };
+}
+
+/**
+ * Convert an Etsy v3 Money object ({ amount, divisor, currency_code }) to a plain number.
+ * @param {{amount?:number, divisor?:number}|undefined} m
+ * @returns {number}
+ */
+function etsyMoney(m) {
+  const amount = Number(m && m.amount), divisor = Number(m && m.divisor) || 1;
+  return Number.isFinite(amount) ? amount / divisor : NaN;
+}
 
-      if (!env.EBAY_APP_ID && !(env.EBAY_CLIENT_ID && env.EBAY_CLIENT_SECRET)) {
-        // Preserve shape; signal config issue
-        return json({ items_current: [], items_sold: [], stats: { current: {}, sold: {}, combined: {} }, note: "EBAY_CLIENT_ID/EBAY_CLIENT_SECRET not set" }, 500);
+/**
+ * Etsy "current listings" via /v3/application/listings/active (keyword search only).
+ * Etsy has no GTIN filter, so UPCs are passed through as keywords.
+ * @param {string} q
+ * @param {number} limit
+ * @param {string} apiKey
+ * @returns {Promise<{items: Array<{title:string,price:number,when_made?:string,url?:string,source:string}>, note: string}>}
+ */
+async function searchEtsyCurrent(q, limit, apiKey) {
+  const url = new URL("https://openapi.etsy.com/v3/application/listings/active");
+  url.searchParams.set("keywords", q);
+  url.searchParams.set("limit", String(Math.min(Math.max(1, limit || 50), 100)));
+  url.searchParams.set("sort_on", "score");
+
+  const res = await upstreamFetch(url.toString(), { headers: { "x-api-key": apiKey, "accept": "application/json" } });
+  if (!res.ok) {
+    const txt = await res.text();
+    throw Object.assign(new Error(`Etsy search failed ${res.status}: ${txt.slice(0, 200)}`), { status: res.status, rateLimited: res.status === 429 });
+  }
+
+  const data = await res.json();
+  const arr = Array.isArray(data?.results) ? data.results : [];
+  const items = [];
+  for (const it of arr) {
+    const title = it?.title || "";
+    const price = etsyMoney(it?.price);
+    const currency = it?.price?.currency_code || undefined;
+    const url = it?.url || undefined;
+    // Etsy listings carry no condition field. "when_made" (e.g. "1990s") is the era, not the condition; keep it apart.
+    const when_made = typeof it?.when_made === "string" ? it.when_made : undefined;
+    if (Number.isFinite(price)) items.push({ title, price, currency, when_made, url, source: "etsy_current" });
+  }
+  return { items, note: "Etsy (current)" };
+}
+
+/* ---------- Provider registry ------------------------------------------ */
+
+/** @typedef {{title:string,price:number,currency?:string,shipping?:number,total?:number,original_price?:number,original_currency?:string,condition?:string,when_made?:string,url?:string,source:string,sold_at?:string,relevance?:number,excluded_reason?:string|null,is_lot?:boolean,lot_size?:number|null,lot_price?:number,condition_bucket?:string}} PriceRow */
+/** @typedef {{items: PriceRow[], note: string}} ProviderResult */
+/** @typedef {{market: string}} SearchOpts  Per-request knobs providers may honour (eBay marketplace id) */
+/**
+ * @typedef {Object} ProviderOutcome
+ * @property {Provider} provider
+ * @property {PriceRow[]} [items]
+ * @property {string} [note]
+ * @property {any} [error]
+ * @property {number} ms
+ */
+/**
+ * @typedef {SearchOpts & {prepare?: (it: PriceRow) => PriceRow, onOutcome?: (o: ProviderOutcome) => void}} RunOpts
+ *   prepare maps each item as it arrives; onOutcome hears about every provider attempt as soon as it settles
+ */
+/**
+ * @typedef {Object} Provider
+ * @property {string} name                 Stable id reported in `providers[]`
+ * @property {string} label                Human prefix used in `note`
+ * @property {"current"|"sold"} kind       Which bucket its items land in
+ * @property {string} [group]              Providers sharing a group are tried in `order`; first success wins
+ * @property {number} [order]              Fallback order within the group (lower first)
+ * @property {number} [timeoutMs]          Per-provider timeout; defaults to PROVIDER_TIMEOUT_MS
+ * @property {number} [ttlSec]             Cache freshness for its results; defaults by kind (DEFAULT_CACHE_TTL)
+ * @property {string[]} [requires]        Env vars it needs; a disabled provider missing one reports AUTH_MISSING
+ * @property {(env:any, q:string) => boolean} enabled
+ * @property {(q:string, env:any, opts:SearchOpts) => Promise<ProviderResult>} search
+ */
+
+const PROVIDER_TIMEOUT_MS = 8000;
+
+/** @type {Provider[]} */
+const PROVIDERS = [];
+
+/**
+ * Add a provider to the registry. Registration order is the order notes and items are reported in.
+ * @param {Provider} p
+ */
+function registerProvider(p) {
+  PROVIDERS.push(p);
+}
+
+/** A query that is a barcode in canonical form (parseEstimateParams and batchLine canonicalize them). */
+const isGtinQuery = q => canonicalGtin(q) === q;
+
+registerProvider({
+  name: "ebay_current_browse", label: "Browse current", kind: "current", group: "ebay_current", order: 0,
+  requires: ["EBAY_CLIENT_ID", "EBAY_CLIENT_SECRET"],
+  enabled: (env, q) => isGtinQuery(q) && !!(env.EBAY_CLIENT_ID && env.EBAY_CLIENT_SECRET),
+  search: async (q, env, opts) => {
+    const token = await getAppTokenCached(env, BROWSE_SCOPE);
+    return searchBrowseCurrentByQ(q, 50, opts.market, token);
+  }
+});
+
+registerProvider({
+  name: "ebay_current_finding", label: "Finding current", kind: "current", group: "ebay_current", order: 1,
+  requires: ["EBAY_CLIENT_ID"],
+  enabled: env => !!env.EBAY_CLIENT_ID,
+  search: (q, env, opts) => searchFindingCurrent(q, env.EBAY_CLIENT_ID, MARKETS[opts.market].globalId)
+});
+
+registerProvider({
+  name: "etsy_current", label: "Etsy current", kind: "current", ttlSec: 30 * 60, requires: ["ETSY_API_KEY"],
+  enabled: env => !!env.ETSY_API_KEY,
+  search: (q, env) => searchEtsyCurrent(q, 50, env.ETSY_API_KEY)
+});
+
+registerProvider({
+  name: "ebay_sold_insights", label: "Insights sold", kind: "sold", group: "ebay_sold", order: 0,
+  requires: ["EBAY_CLIENT_ID", "EBAY_CLIENT_SECRET"],
+  enabled: env => !!(env.EBAY_CLIENT_ID && env.EBAY_CLIENT_SECRET) && Date.now() >= INSIGHTS_DENIED_UNTIL,
+  search: async (q, env, opts) => {
+    try {
+      const token = await getAppTokenCached(env, INSIGHTS_SCOPE);
+      return await searchInsightsSold(q, 50, opts.market, token);
+    } catch (e) {
+      if (e.scopeDenied || e.insightsDenied) {
+        INSIGHTS_DENIED_UNTIL = Date.now() + INSIGHTS_DENIED_TTL_MS;
+        throw Object.assign(new Error("no Marketplace Insights access for this keyset"), { insightsDenied: true });
       }
+      throw e;
+    }
+  }
+});
 
-      const now = Date.now();
-      const cached = CACHE.get(q);
-      if (cached && cached.exp > now) return json(cached.payload);
-
-      let items_current = [], items_sold = [], notes = [];
-      const isDigits = /^[0-9]{8,14}$/.test(q);
-
-      // Try Browse for current if UPC-ish and creds present; else Finding current
-      if (isDigits && env.EBAY_CLIENT_ID && env.EBAY_CLIENT_SECRET) {
-        try {
-          const token = await getAppTokenCached(env, BROWSE_SCOPE);
-          const market = env.X_EBAY_MARKETPLACE_ID || "EBAY_US";
-          const cur = await searchBrowseCurrentByQ(q, 50, market, token);
-          items_current = cur.items || [];
-          if (cur.note) notes.push(cur.note);
-        } catch (e) {
-          notes.push("Browse current error: " + (e && e.message ? e.message : String(e)));
-          // Fall through to Finding current as backup if we have CLIENT_ID
-          if (env.EBAY_CLIENT_ID) {
-            try {
-              const curF = await searchFindingCurrent(q, env.EBAY_CLIENT_ID);
-              items_current = curF.items || [];
-              if (curF.note) notes.push(curF.note);
-            } catch (e2) {
-              if (e2.rateLimited) notes.push("Finding current: rate-limited");
-              else notes.push("Finding current error: " + (e2 && e2.message ? e2.message : String(e2)));
-            }
-          }
-        }
-      } else if (env.EBAY_CLIENT_ID) {
-        try {
-          const cur = await searchFindingCurrent(q, env.EBAY_CLIENT_ID);
-          items_current = cur.items || [];
-          if (cur.note) notes.push(cur.note);
-        } catch (e) {
-          if (e.rateLimited) notes.push("Finding current: rate-limited");
-          else notes.push("Finding current error: " + (e && e.message ? e.message : String(e)));
+// Finding's findCompletedItems is decommissioned upstream; kept as the fallback for keysets without Insights.
+registerProvider({
+  name: "ebay_sold_finding", label: "Finding sold", kind: "sold", group: "ebay_sold", order: 1,
+  requires: ["EBAY_CLIENT_ID"],
+  enabled: env => !!env.EBAY_CLIENT_ID,
+  search: (q, env, opts) => searchFindingSold(q, env.EBAY_CLIENT_ID, MARKETS[opts.market].globalId)
+});
+
+/**
+ * Reject with a `timedOut` error if the promise does not settle within ms.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} ms
+ * @param {string} label
+ * @returns {Promise<T>}
+ */
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(label + " timed out after " + ms + "ms"), { timedOut: true })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/* ---------- Upstream resilience ----------------------------------------- */
+
+// Identical upstream calls in flight in this isolate: key -> Promise<ProviderResult>
+const INFLIGHT = new Map();
+
+// Circuit breaker: state shared across isolates through the Cache API, memoized per isolate briefly
+const BREAKER_RATE_LIMIT_SEC = 5 * 60;
+const BREAKER_5XX_THRESHOLD = 3;
+const BREAKER_5XX_WINDOW_SEC = 2 * 60;
+const BREAKER_5XX_SEC = 60;
+const BREAKER_MEMO_MS = 5000;
+const BREAKER_MEMO = new Map(); // provider -> { state, checked_at }
+
+/**
+ * Share one upstream call between concurrent identical requests.
+ * @template T
+ * @param {string} key
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+function coalesce(key, fn) {
+  const pending = INFLIGHT.get(key);
+  if (pending) return pending;
+  const p = Promise.resolve().then(fn).finally(() => INFLIGHT.delete(key));
+  INFLIGHT.set(key, p);
+  return p;
+}
+
+/**
+ * @param {string} name
+ * @returns {Request}
+ */
+function breakerRequest(name) {
+  return new Request("https://breaker/v1/" + encodeURIComponent(name), { method: "GET" });
+}
+
+/**
+ * Breaker state for a provider: { open_until, failures, window_until, reason }.
+ * @param {string} name
+ */
+async function breakerState(name) {
+  const memo = BREAKER_MEMO.get(name);
+  if (memo && Date.now() - memo.checked_at < BREAKER_MEMO_MS) return memo.state;
+  let state = { open_until: 0, failures: 0, window_until: 0, reason: "" };
+  try {
+    const hit = typeof caches !== "undefined" ? await caches.default.match(breakerRequest(name)) : null;
+    if (hit && hit.ok) state = { ...state, ...(await hit.json()) };
+  } catch {}
+  BREAKER_MEMO.set(name, { state, checked_at: Date.now() });
+  return state;
+}
+
+/**
+ * @param {string} name
+ * @param {{open_until:number, failures:number, window_until:number, reason:string}} state
+ */
+async function breakerSave(name, state) {
+  BREAKER_MEMO.set(name, { state, checked_at: Date.now() });
+  const ttlSec = Math.max(60, Math.ceil((Math.max(state.open_until, state.window_until) - Date.now()) / 1000));
+  try {
+    if (typeof caches !== "undefined") await caches.default.put(breakerRequest(name), new Response(JSON.stringify(state), { headers: { "content-type": "application/json", "cache-control": `public, max-age=${ttlSec}` } }));
+  } catch {}
+}
+
+/**
+ * Record a provider failure: rate limits open the breaker at once; 5xx responses and timeouts open it
+ * after BREAKER_5XX_THRESHOLD failures inside the window. Auth failures (Finding reports them as HTTP 500)
+ * are config errors, not outages, and never count.
+ * @param {string} name
+ * @param {any} e
+ */
+async function breakerFailure(name, e) {
+  if (!e || e.authFailed) return;
+  const now = Date.now();
+  const state = { ...(await breakerState(name)) };
+  if (e.rateLimited) {
+    await breakerSave(name, { ...state, open_until: now + BREAKER_RATE_LIMIT_SEC * 1000, reason: "rate_limited" });
+  } else if (e.status >= 500 || e.timedOut) {
+    if (state.window_until < now) { state.failures = 0; state.window_until = now + BREAKER_5XX_WINDOW_SEC * 1000; }
+    state.failures += 1;
+    if (state.failures >= BREAKER_5XX_THRESHOLD) { state.open_until = now + BREAKER_5XX_SEC * 1000; state.reason = e.timedOut ? "timeouts" : "upstream_5xx"; }
+    await breakerSave(name, state);
+  }
+}
+
+/**
+ * Clear failure history after a success (only writes when there was some).
+ * @param {string} name
+ */
+async function breakerSuccess(name) {
+  const state = await breakerState(name);
+  if (state.failures || state.open_until) await breakerSave(name, { open_until: 0, failures: 0, window_until: 0, reason: "" });
+}
+
+/**
+ * Run one fallback group sequentially; stop at the first provider that answers.
+ * @param {Provider[]} group
+ * @param {string} q
+ * @param {any} env
+ * @param {RunOpts} opts
+ */
+async function runProviderGroup(group, q, env, opts) {
+  const outcomes = [];
+  const settle = o => {
+    outcomes.push(o);
+    try { if (opts.onOutcome) opts.onOutcome(o); } catch {}
+  };
+  const prepare = opts.prepare || (it => it);
+  for (const p of group) {
+    const t0 = Date.now();
+    const breakerName = fixtureScope() + p.name;
+    const breaker = await breakerState(breakerName);
+    if (breaker.open_until > t0) {
+      const secs = Math.ceil((breaker.open_until - t0) / 1000);
+      settle({ provider: p, error: Object.assign(new Error("circuit open (" + breaker.reason + "), retry in " + secs + "s"), { circuitOpen: true }), ms: 0 });
+      continue;
+    }
+    try {
+      const key = fixtureScope() + p.name + "|" + opts.market + "|" + q;
+      const res = await coalesce(key, () => withTimeout(p.search(q, env, opts), p.timeoutMs || PROVIDER_TIMEOUT_MS, p.label));
+      // prepare annotates items in place, so each caller gets its own copies
+      settle({ provider: p, items: (res.items || []).map(it => prepare({ ...it })), note: res.note, ms: Date.now() - t0 });
+      await breakerSuccess(breakerName);
+      break;
+    } catch (e) {
+      settle({ provider: p, error: e, ms: Date.now() - t0 });
+      await breakerFailure(breakerName, e);
+    }
+  }
+  return outcomes;
+}
+
+/**
+ * Typed error code for a provider failure (reported as `code` in providers[] and v2 `sources`).
+ * @param {any} e
+ * @returns {"CIRCUIT_OPEN"|"TIMEOUT"|"RATE_LIMITED"|"AUTH_MISSING"|"AUTH_DENIED"|"AUTH_FAILED"|"UPSTREAM_5XX"|"UPSTREAM_4XX"|"UPSTREAM_ERROR"}}
+ */
+function providerErrorCode(e) {
+  if (!e) return "UPSTREAM_ERROR";
+  if (e.circuitOpen) return "CIRCUIT_OPEN";
+  if (e.timedOut) return "TIMEOUT";
+  if (e.rateLimited || e.status === 429) return "RATE_LIMITED";
+  if (e.authMissing) return "AUTH_MISSING";
+  if (e.scopeDenied || e.insightsDenied) return "AUTH_DENIED";
+  if (e.authFailed || e.status === 401 || e.status === 403) return "AUTH_FAILED";
+  if (e.status >= 500) return "UPSTREAM_5XX";
+  if (e.status >= 400) return "UPSTREAM_4XX";
+  return "UPSTREAM_ERROR";
+}
+
+/**
+ * The `providers[]` report for one settled provider attempt.
+ * @param {ProviderOutcome} o
+ */
+function providerReport(o) {
+  const p = o.provider;
+  if (o.error) {
+    const e = o.error, msg = e && e.message ? e.message : String(e);
+    return { name: p.name, kind: p.kind, status: e.circuitOpen ? "circuit_open" : e.timedOut ? "timeout" : e.rateLimited ? "rate_limited" : "error", count: 0, ms: o.ms, error: msg, code: providerErrorCode(e) };
+  }
+  return { name: p.name, kind: p.kind, status: "ok", count: o.items.length, ms: o.ms };
+}
+
+/**
+ * Fan out over every enabled provider (groups in parallel) and collect items, notes and per-provider reports.
+ * @param {string} q
+ * @param {any} env
+ * @param {RunOpts} opts
+ */
+async function runProviders(q, env, opts) {
+  const groups = new Map();
+  for (const p of PROVIDERS) {
+    if (!p.enabled(env, q)) continue;
+    const key = p.group || p.name;
+    groups.set(key, (groups.get(key) || []).concat(p));
+  }
+  for (const g of groups.values()) g.sort((a, b) => (a.order || 0) - (b.order || 0));
+
+  const settled = await Promise.all([...groups.values()].map(g => runProviderGroup(g, q, env, opts)));
+  const byName = new Map();
+  for (const outcomes of settled) for (const o of outcomes) byName.set(o.provider.name, o);
+
+  const items_current = [], items_sold = [], notes = [], providers = [];
+  for (const p of PROVIDERS) {
+    const o = byName.get(p.name);
+    if (!o) {
+      const enabled = p.enabled(env, q);
+      const missing = !enabled && (p.requires || []).some(k => !env[k]);
+      providers.push({ name: p.name, kind: p.kind, status: enabled ? "skipped" : "disabled", count: 0, ...(missing ? { code: "AUTH_MISSING" } : {}) });
+      continue;
+    }
+    providers.push(providerReport(o));
+    if (o.error) {
+      const e = o.error, msg = e && e.message ? e.message : String(e);
+      notes.push(e.rateLimited ? p.label + ": rate-limited" : e.circuitOpen ? p.label + ": " + msg : p.label + " error: " + msg);
+      continue;
+    }
+    (p.kind === "sold" ? items_sold : items_current).push(...o.items);
+    if (o.note) notes.push(o.note);
+  }
+  return { items_current, items_sold, notes, providers };
+}
+
+/* ---------- Catalog (beanies.json) ------------------------------------- */
+
+/**
+ * @typedef {Object} CatalogEntry
+ * @property {string} sku
+ * @property {string} name
+ * @property {string} [image]          Absolute thumbnail URL on the source site (beanies.json paths are relative to it; none ship in ASSETS)
+ * @property {number} we_pay           Buyback price from the source listing
+ * @property {string} upc
+ * @property {number} match_score      Confidence (0-100) of the fuzzy iCollect UPC match
+ * @property {string} [icollect_url]
+ * @property {string} [url]
+ */
+
+const CATALOG_PATH = "/beanies.json";
+// Site the catalog was scraped from; its `image` paths are relative to this root
+const CATALOG_SOURCE_ORIGIN = "https://www.sell2bbnovelties.com";
+const CATALOG_PAGE_MAX = 200;
+const CATALOG_SEARCH_MAX = 25;
+const QUERY_STOPWORDS = new Set(["the", "a", "an", "and", "with", "of", "&"]);
+
+// Per-isolate catalog index promise (the JSON ships with the static assets, so it never changes under us)
+let CATALOG_PROMISE = null;
+
+/**
+ * Resolve a row's thumbnail path against the root of the site its listing `url` is on.
+ * @param {any} r raw beanies.json row
+ * @returns {string|undefined}
+ */
+function catalogImageUrl(r) {
+  if (!r.image) return undefined;
+  let origin = CATALOG_SOURCE_ORIGIN;
+  try { if (r.url) origin = new URL(r.url).origin; } catch {}
+  try { return new URL(String(r.image).replace(/^\/+/, ""), origin + "/").href; } catch { return undefined; }
+}
+
+/**
+ * Load beanies.json through the ASSETS binding and index it by SKU and UPC.
+ * The file repeats SKUs (1394 rows, 844 unique); the first row per SKU wins.
+ * @param {any} env
+ * @returns {Promise<{entries: CatalogEntry[], bySku: Map<string,CatalogEntry>, byUpc: Map<string,CatalogEntry[]>, search: CatalogSearchRow[]}>}
+ */
+function loadCatalog(env) {
+  if (CATALOG_PROMISE) return CATALOG_PROMISE;
+  if (!env.ASSETS || !env.ASSETS.fetch) return Promise.reject(new Error("Catalog unavailable: no ASSETS binding"));
+
+  CATALOG_PROMISE = (async () => {
+    const res = await env.ASSETS.fetch(new Request("https://assets.local" + CATALOG_PATH));
+    if (!res.ok) throw new Error("Failed to load beanies.json: " + res.status);
+    const raw = await res.json();
+
+    const entries = [], bySku = new Map(), byUpc = new Map(), search = [];
+    for (const r of Array.isArray(raw) ? raw : []) {
+      const sku = String(r?.sku || "");
+      if (!sku || bySku.has(sku)) continue;
+      const entry = {
+        sku,
+        name: String(r.name || sku),
+        image: catalogImageUrl(r),
+        we_pay: Number(String(r.we_pay || "").replace(/[^0-9.]/g, "")),
+        upc: String(r.upc || "").replace(/\D/g, ""),
+        match_score: Number(r.match_score) || 0,
+        icollect_url: r.icollect_url || undefined,
+        url: r.url || undefined
+      };
+      entries.push(entry);
+      search.push(catalogSearchRow(entry));
+      bySku.set(sku, entry);
+      const key = gtinKey(entry.upc);
+      if (key) byUpc.set(key, (byUpc.get(key) || []).concat(entry));
+    }
+    for (const list of byUpc.values()) list.sort((a, b) => b.match_score - a.match_score);
+    return { entries, bySku, byUpc, search };
+  })();
+  // Don't pin a failed load for the life of the isolate
+  CATALOG_PROMISE.catch(() => { CATALOG_PROMISE = null; });
+  return CATALOG_PROMISE;
+}
+
+// Buyback-list notes appended to some names ("* EMAIL FOR PRICE *"); not part of the Beanie's name
+const CATALOG_NOTE_RE = /\*?\s*\b(?:e-?mail|call|contact|ask)\s+(?:us\s+)?for\s+(?:a\s+)?(?:price|quote)\b\s*\*?/gi;
+
+/**
+ * Split a catalog name like "TY Beanie Baby - CLEO the Orange Tabby Cat (6 inch) (Mint)" into the
+ * product line ("Ty Beanie Baby") and a display title ("Cleo the Orange Tabby Cat").
+ * Parentheticals (size, condition, tag generation) and buyback notes are dropped; shouty words are title-cased.
+ * @param {string} name
+ * @returns {{line: string, title: string}}
+ */
+function catalogNameParts(name) {
+  const caseWord = w => w === "TY" ? "Ty" : QUERY_STOPWORDS.has(w.toLowerCase()) ? w.toLowerCase() : w[0] + w.slice(1).toLowerCase();
+  const bare = String(name || "").replace(/\([^()]*\)/g, " ").replace(CATALOG_NOTE_RE, " ");
+  const segs = bare.split(" - ").map(s => s.replace(/\s+/g, " ").trim().replace(/\b[A-Z][A-Z'.-]+\b/g, caseWord)).filter(Boolean);
+  if (segs.length < 2) return { line: "", title: segs[0] || "" };
+  return { line: segs[0], title: segs[segs.length - 1] };
+}
+
+/**
+ * Marketplace keyword query for a catalog entry: "<line> <title>" with noise words and punctuation removed.
+ * @param {CatalogEntry} entry
+ * @returns {string}
+ */
+function catalogQuery(entry) {
+  const { line, title } = catalogNameParts(entry.name);
+  return searchTokens((line || "Ty Beanie Baby") + " " + title, true).join(" ");
+}
+
+/**
+ * Lowercased alphanumeric tokens; with keepCase the original casing survives (for outbound queries).
+ * @param {string} text
+ * @param {boolean} [keepCase]
+ * @returns {string[]}
+ */
+function searchTokens(text, keepCase) {
+  return String(text || "").split(/[^A-Za-z0-9']+/)
+    .map(t => t.replace(/'/g, ""))
+    .filter(t => t && !QUERY_STOPWORDS.has(t.toLowerCase()))
+    .map(t => keepCase ? t : t.toLowerCase());
+}
+
+/** @typedef {{entry: CatalogEntry, title: string, titleTokens: string[], lineTokens: string[], skuKey: string}} CatalogSearchRow */
+
+/**
+ * Precompute the tokens fuzzy search compares against.
+ * @param {CatalogEntry} entry
+ * @returns {CatalogSearchRow}
+ */
+function catalogSearchRow(entry) {
+  const { line, title } = catalogNameParts(entry.name);
+  return { entry, title, titleTokens: searchTokens(title), lineTokens: searchTokens(line), skuKey: entry.sku.toLowerCase().replace(/^bb_/, "").replace(/[^a-z0-9]/g, "") };
+}
+
+/**
+ * Optimal-string-alignment edit distance: Levenshtein plus swapping two neighbouring letters as one edit
+ * ("gracia" -> "garcia" is 1). Gives up (returning max + 1) once every cell in a row exceeds max.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = [], prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * How well one query token matches one name token: exact 1, prefix 0.85, typo 0.7/0.55, typo'd prefix 0.5.
+ * @param {string} t  query token
+ * @param {string} w  name token
+ */
+function tokenScore(t, w) {
+  if (t === w) return 1;
+  if (t.length >= 2 && w.startsWith(t)) return 0.85;
+  const maxEd = t.length <= 3 ? 0 : t.length <= 6 ? 1 : 2;
+  if (!maxEd) return 0;
+  const d = editDistance(t, w, maxEd);
+  if (d <= maxEd) return d === 1 ? 0.7 : 0.55;
+  if (w.length > t.length && editDistance(t, w.slice(0, t.length), 1) <= 1) return 0.5;
+  return 0;
+}
+
+/**
+ * Typo-tolerant ranked search over catalog names and SKUs. Every query token has to match something.
+ * @param {{search: CatalogSearchRow[]}} catalog
+ * @param {string} q
+ * @param {number} limit
+ * @returns {Array<CatalogEntry & {title:string, query:string, score:number}>}
+ */
+function searchCatalog(catalog, q, limit) {
+  const qTokens = searchTokens(q);
+  const compact = String(q || "").toLowerCase().replace(/^bb_/, "").replace(/[^a-z0-9]/g, "");
+  if (!qTokens.length && !compact) return [];
+
+  const hits = [];
+  for (const row of catalog.search) {
+    let score = 0;
+    if (qTokens.length) {
+      let sum = 0;
+      for (const t of qTokens) {
+        let best = 0;
+        for (const w of row.titleTokens) best = Math.max(best, tokenScore(t, w));
+        for (const w of row.lineTokens) best = Math.max(best, 0.5 * tokenScore(t, w));
+        if (!best) { sum = 0; break; }
+        sum += best;
+      }
+      score = sum / qTokens.length;
+    }
+    if (compact.length >= 3 && row.skuKey.startsWith(compact)) score = Math.max(score, row.skuKey === compact ? 1 : 0.9);
+    if (!score) continue;
+    // Beanie Baby lines ("Ty Beanie Baby", "Ty Beanie Babies BBOC Card") outrank Boos and the rest of the buyback list on ties
+    if (row.lineTokens.includes("beanie") && (row.lineTokens.includes("baby") || row.lineTokens.includes("babies"))) score += 0.05;
+    hits.push({ row, score });
+  }
+  hits.sort((a, b) => b.score - a.score || b.row.entry.match_score - a.row.entry.match_score || a.row.title.length - b.row.title.length);
+  return hits.slice(0, limit).map(({ row, score }) => ({ ...catalogHit(row.entry), score: Math.round(score * 1000) / 1000 }));
+}
+
+/**
+ * A catalog entry plus the display title and marketplace query clients need to offer it as a choice.
+ * @param {CatalogEntry} entry
+ * @returns {CatalogEntry & {title:string, query:string}}
+ */
+function catalogHit(entry) {
+  return { ...entry, title: catalogNameParts(entry.name).title, query: catalogQuery(entry) };
+}
+
+/**
+ * Catalog entries for a GTIN. byUpc is keyed by gtinKey, so UPC-E, UPC-A and padded EAN-13/GTIN-14
+ * spellings of one code find the same entries.
+ * @param {{byUpc: Map<string,CatalogEntry[]>}} catalog
+ * @param {string} gtin
+ * @returns {CatalogEntry[]}
+ */
+function catalogByUpc(catalog, gtin) {
+  const key = gtinKey(gtin);
+  return key ? catalog.byUpc.get(key) || [] : [];
+}
+
+/**
+ * Route /api/catalog requests.
+ * @param {URL} url
+ * @param {any} env
+ * @returns {Promise<Response>}
+ */
+async function handleCatalog(url, env) {
+  let catalog;
+  try {
+    catalog = await loadCatalog(env);
+  } catch (e) {
+    return json({ error: e && e.message ? e.message : String(e) }, 503);
+  }
+  const cacheHeaders = { "cache-control": "public, max-age=3600" };
+  let parts;
+  try {
+    parts = url.pathname.split("/").filter(Boolean).slice(2).map(decodeURIComponent); // after "api", "catalog"
+  } catch {
+    return json({ error: "Malformed path" }, 400);
+  }
+
+  if (parts[0] === "upc" && parts.length === 2) {
+    const gtin = canonicalGtin(parts[1]);
+    if (!gtin) return json({ error: "Invalid GTIN" }, 400);
+    const items = catalogByUpc(catalog, gtin).map(catalogHit);
+    if (!items.length) return json({ error: "Not found", gtin, count: 0, items: [] }, 404);
+    return json({ gtin, count: items.length, items }, 200, cacheHeaders);
+  }
+
+  if (parts[0] === "search" && parts.length === 1) {
+    const q = (url.searchParams.get("q") || "").trim();
+    if (q.length < 2) return json({ error: "Query too short" }, 400);
+    const limit = Math.min(Math.max(1, Number(url.searchParams.get("limit")) || 10), CATALOG_SEARCH_MAX);
+    const items = searchCatalog(catalog, q, limit);
+    return json({ q, count: items.length, items }, 200, cacheHeaders);
+  }
+
+  if (parts[0] === "sku" && parts.length === 2) {
+    const entry = catalog.bySku.get(parts[1]);
+    if (!entry) return json({ error: "Not found", sku: parts[1] }, 404);
+    return json(entry, 200, cacheHeaders);
+  }
+
+  if (parts.length === 0) {
+    const per_page = Math.min(Math.max(1, Number(url.searchParams.get("per_page")) || 50), CATALOG_PAGE_MAX);
+    const total = catalog.entries.length, pages = Math.max(1, Math.ceil(total / per_page));
+    const page = Math.min(Math.max(1, Number(url.searchParams.get("page")) || 1), pages);
+    const items = catalog.entries.slice((page - 1) * per_page, page * per_page);
+    return json({ total, page, per_page, pages, items }, 200, cacheHeaders);
+  }
+
+  return json({ error: "Not found" }, 404);
+}
+
+/* ---------- Client rate limiting ---------------------------------------- */
+
+// Token buckets per client: `rate` tokens/second refill up to `burst`. Override with RATE_LIMITS JSON.
+const DEFAULT_RATE_LIMITS = { anon: { rate: 20 / 60, burst: 20 }, key: { rate: 300 / 60, burst: 100 } };
+const RATE_MEMO = new Map(); // bucket id -> { tokens, updated_at }
+const RATE_MEMO_MAX = 5000;
+
+/**
+ * @param {any} env
+ * @returns {{anon: {rate:number, burst:number}, key: {rate:number, burst:number}}}
+ */
+function rateLimits(env) {
+  let extra = {};
+  try { extra = env.RATE_LIMITS ? (typeof env.RATE_LIMITS === "string" ? JSON.parse(env.RATE_LIMITS) : env.RATE_LIMITS) : {}; } catch { extra = {}; }
+  return { anon: { ...DEFAULT_RATE_LIMITS.anon, ...extra.anon }, key: { ...DEFAULT_RATE_LIMITS.key, ...extra.key } };
+}
+
+/**
+ * API key presented by the caller (x-api-key, or Authorization: Bearer), if any.
+ * @param {Request} req
+ */
+function presentedApiKey(req) {
+  const h = req.headers.get("x-api-key") || "";
+  if (h) return h.trim();
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.get("authorization") || "");
+  return m ? m[1].trim() : "";
+}
+
+/**
+ * Whether `key` is one of the comma-separated API_KEYS.
+ * @param {any} env
+ * @param {string} key
+ */
+function isApiKey(env, key) {
+  return !!key && String(env.API_KEYS || "").split(",").map(k => k.trim()).filter(Boolean).includes(key);
+}
+
+/**
+ * Hex SHA-256, used so raw API keys never end up in cache keys.
+ * @param {string} text
+ */
+async function sha256Hex(text) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * @param {string} id
+ * @returns {Request}
+ */
+function rateRequest(id) {
+  return new Request("https://ratelimit/v1/" + encodeURIComponent(id), { method: "GET" });
+}
+
+/**
+ * Take `cost` tokens from the caller's bucket. Callers with a key listed in API_KEYS (comma-separated
+ * secret) get the `key` tier; everyone else is keyed on CF-Connecting-IP. Bucket state lives in the
+ * Cache API (per colo) behind a per-isolate memo; an unknown key is rejected outright, and so is a cost
+ * larger than the tier's burst (413).
+ * @param {Request} req
+ * @param {any} env
+ * @param {any} ctx
+ * @param {number} [cost=1]
+ * @returns {Promise<{response?: Response, headers: Record<string,string>}>}
+ */
+async function rateLimit(req, env, ctx, cost) {
+  const need = Math.max(1, cost || 1);
+  const limits = rateLimits(env);
+  const key = presentedApiKey(req);
+  let tier = "anon", id = "ip:" + (req.headers.get("cf-connecting-ip") || "unknown");
+  if (key) {
+    if (!isApiKey(env, key)) return { response: json({ error: "Invalid API key" }, 401), headers: {} };
+    tier = "key";
+    id = "key:" + (await sha256Hex(key)).slice(0, 32);
+  }
+  const { rate, burst } = limits[tier];
+  // A cost over the bucket size can never be met, so say so instead of sending an unreachable Retry-After.
+  if (need > burst) return { response: json({ error: `Needs ${need} lookups; at most ${burst} at once`, tier, limit: burst }, 413, { "x-ratelimit-limit": String(burst) }), headers: {} };
+
+  const now = Date.now();
+  let state = RATE_MEMO.get(id);
+  if (!state) {
+    try {
+      const hit = typeof caches !== "undefined" ? await caches.default.match(rateRequest(id)) : null;
+      if (hit && hit.ok) state = await hit.json();
+    } catch {}
+  }
+  const tokens = Math.min(burst, (state ? state.tokens : burst) + (state ? (now - state.updated_at) / 1000 * rate : 0));
+
+  if (tokens < need) {
+    const retryAfter = Math.max(1, Math.ceil((need - tokens) / rate));
+    return { response: json({ error: "Rate limited", tier, retry_after: retryAfter }, 429, { "retry-after": String(retryAfter), "x-ratelimit-limit": String(burst), "x-ratelimit-remaining": "0" }), headers: {} };
+  }
+
+  const next = { tokens: tokens - need, updated_at: now };
+  if (RATE_MEMO.size >= RATE_MEMO_MAX) RATE_MEMO.delete(RATE_MEMO.keys().next().value);
+  RATE_MEMO.set(id, next);
+  const ttlSec = Math.max(60, Math.ceil(burst / rate));
+  const save = typeof caches === "undefined" ? Promise.resolve() : caches.default.put(rateRequest(id), new Response(JSON.stringify(next), { headers: { "content-type": "application/json", "cache-control": `public, max-age=${ttlSec}` } })).catch(() => {});
+  if (ctx && ctx.waitUntil) ctx.waitUntil(save);
+  return { headers: { "x-ratelimit-limit": String(burst), "x-ratelimit-remaining": String(Math.floor(next.tokens)) } };
+}
+
+/* ---------- Client logs ------------------------------------------------- */
+
+const LOG_MAX_BYTES = 32 * 1024;
+const LOG_MAX_BATCH = 50;
+const LOG_MAX_MSG = 2000;
+const LOG_MAX_META = 4000;  // serialized bytes per entry; larger meta is replaced by a truncation marker
+const LOG_LEVELS = ["log", "warn", "error"];
+const LOG_RING_MAX = 200;
+const LOG_RING = [];        // recent client errors in this isolate, oldest first
+
+/**
+ * @typedef {Object} ClientLogEntry
+ * @property {number} ts        client timestamp (ms)
+ * @property {"log"|"warn"|"error"} level
+ * @property {string} msg
+ * @property {any} meta
+ * @property {number} [count]   identical messages merged by the client
+ */
+
+/**
+ * Deployed app version: APP_VERSION var, else the version metadata binding, else "dev".
+ * @param {any} env
+ */
+function appVersion(env) {
+  const meta = env.CF_VERSION_METADATA;
+  return String(env.APP_VERSION || (meta && (meta.tag || meta.id)) || "dev");
+}
+
+/**
+ * Check a Logger batch ({ batch: ClientLogEntry[] }) and normalize it; returns an error string when invalid.
+ * @param {any} body
+ * @returns {{entries?: ClientLogEntry[], error?: string}}
+ */
+function validateLogBatch(body) {
+  if (!body || typeof body !== "object" || !Array.isArray(body.batch)) return { error: "Expected { batch: [...] }" };
+  if (!body.batch.length) return { error: "Empty batch" };
+  if (body.batch.length > LOG_MAX_BATCH) return { error: `Batch exceeds ${LOG_MAX_BATCH} entries` };
+  const entries = [];
+  for (const [i, it] of body.batch.entries()) {
+    if (!it || typeof it !== "object") return { error: `batch[${i}] is not an object` };
+    if (!Number.isFinite(it.ts)) return { error: `batch[${i}].ts must be a number` };
+    if (!LOG_LEVELS.includes(it.level)) return { error: `batch[${i}].level must be one of ${LOG_LEVELS.join(", ")}` };
+    if (typeof it.msg !== "string") return { error: `batch[${i}].msg must be a string` };
+    if (it.count != null && !(Number.isInteger(it.count) && it.count > 0)) return { error: `batch[${i}].count must be a positive integer` };
+    let meta = it.meta ?? null;
+    if (meta != null && JSON.stringify(meta).length > LOG_MAX_META) meta = { truncated: true };
+    entries.push({ ts: it.ts, level: it.level, msg: it.msg.slice(0, LOG_MAX_MSG), meta, ...(it.count > 1 ? { count: it.count } : {}) });
+  }
+  return { entries };
+}
+
+/**
+ * Read a request body as UTF-8 text, counting bytes as they arrive; stops reading (and cancels the
+ * stream) as soon as the total passes maxBytes, so an oversized chunked upload is never buffered whole.
+ * @param {Request} req
+ * @param {number} maxBytes
+ * @returns {Promise<string|null>} the text, or null when the body is over the cap
+ */
+async function readBodyCapped(req, maxBytes) {
+  if (!req.body) return "";
+  const reader = req.body.getReader(), chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      reader.cancel().catch(() => {});
+      return null;
+    }
+    chunks.push(value);
+  }
+  const buf = new Uint8Array(size);
+  let at = 0;
+  for (const c of chunks) { buf.set(c, at); at += c.byteLength; }
+  return new TextDecoder().decode(buf);
+}
+
+/**
+ * POST /log — client Logger ingestion. Requires x-bbb-debug, caps the body at LOG_MAX_BYTES (counted in bytes
+ * while streaming), then writes one structured JSON line per entry (picked up by Workers observability) with
+ * request metadata attached. Errors also go to the in-isolate ring buffer behind /api/logs.
+ * @param {Request} req
+ * @param {any} env
+ */
+async function handleLogIngest(req, env) {
+  if (!req.headers.get("x-bbb-debug")) return json({ error: "Missing x-bbb-debug header" }, 403);
+  if (Number(req.headers.get("content-length") || 0) > LOG_MAX_BYTES) return json({ error: "Payload too large" }, 413);
+  const text = await readBodyCapped(req, LOG_MAX_BYTES);
+  if (text === null) return json({ error: "Payload too large" }, 413);
+  let body;
+  try { body = JSON.parse(text); } catch { return json({ error: "Invalid JSON" }, 400); }
+  const { entries, error } = validateLogBatch(body);
+  if (error) return json({ error }, 400);
+
+  const cf = req.cf || {};
+  const request = {
+    ua: (req.headers.get("user-agent") || "").slice(0, 300),
+    colo: cf.colo || null,
+    country: cf.country || null,
+    app_version: appVersion(env),
+  };
+  const received_at = Date.now();
+  for (const it of entries) {
+    const line = { type: "client_log", ...it, client_ts: it.ts, ts: received_at, ...request };
+    (it.level === "error" ? console.error : it.level === "warn" ? console.warn : console.log)(JSON.stringify(line));
+    if (it.level === "error") {
+      LOG_RING.push(line);
+      if (LOG_RING.length > LOG_RING_MAX) LOG_RING.shift();
+    }
+  }
+  return json({ ok: true, accepted: entries.length });
+}
+
+/**
+ * GET /api/logs?limit=<n> — recent client errors from this isolate, newest first. Needs an API_KEYS key.
+ * @param {Request} req
+ * @param {URL} url
+ * @param {any} env
+ */
+function handleLogRead(req, url, env) {
+  if (!isApiKey(env, presentedApiKey(req))) return json({ error: "Unauthorized" }, 401);
+  const limit = Math.min(LOG_RING_MAX, Math.max(1, parseInt(url.searchParams.get("limit") || "50", 10) || 50));
+  const items = LOG_RING.slice(-limit).reverse();
+  return json({ count: items.length, capacity: LOG_RING_MAX, items }, 200, { "cache-control": "no-store" });
+}
+
+/* ---------- Estimate cache --------------------------------------------- */
+
+/** @typedef {{payload: any, stored_at: number, fresh_until: number, stale_until: number}} CacheEntry */
+
+/**
+ * @param {string} key
+ * @returns {Request}
+ */
+function estimateCacheRequest(key) {
+  return new Request("https://estimate-cache/v1?key=" + encodeURIComponent(key), { method: "GET" });
+}
+
+/**
+ * Read an entry: L1 Map first, then KV or the Cache API.
+ * @param {any} env
+ * @param {string} key
+ * @returns {Promise<CacheEntry|null>}
+ */
+async function cacheRead(env, key) {
+  const mem = CACHE.get(key);
+  if (mem && mem.stale_until > Date.now()) return mem;
+  let entry = null;
+  try {
+    if (env.ESTIMATE_KV) entry = await env.ESTIMATE_KV.get("estimate:" + key, "json");
+    else if (typeof caches !== "undefined") {
+      const hit = await caches.default.match(estimateCacheRequest(key));
+      if (hit && hit.ok) entry = await hit.json();
+    }
+  } catch {
+    entry = null; // a broken cache tier is a miss, not an outage
+  }
+  if (!entry || !(entry.stale_until > Date.now())) return null;
+  cacheRemember(key, entry);
+  return entry;
+}
+
+/**
+ * Write an entry to L1 and the durable tier; it expires there once it is too stale to serve.
+ * @param {any} env
+ * @param {string} key
+ * @param {CacheEntry} entry
+ */
+async function cacheWrite(env, key, entry) {
+  cacheRemember(key, entry);
+  const ttlSec = Math.max(60, Math.ceil((entry.stale_until - Date.now()) / 1000));
+  try {
+    if (env.ESTIMATE_KV) await env.ESTIMATE_KV.put("estimate:" + key, JSON.stringify(entry), { expirationTtl: ttlSec });
+    else if (typeof caches !== "undefined") {
+      await caches.default.put(estimateCacheRequest(key), new Response(JSON.stringify(entry), { headers: { "content-type": "application/json", "cache-control": `public, max-age=${ttlSec}` } }));
+    }
+  } catch {
+    // L1 still has it; the durable tier is best effort
+  }
+}
+
+/**
+ * @param {string} key
+ * @param {CacheEntry} entry
+ */
+function cacheRemember(key, entry) {
+  if (CACHE.size >= CACHE_L1_MAX) CACHE.delete(CACHE.keys().next().value);
+  CACHE.set(key, entry);
+}
+
+/**
+ * Freshness for a payload: the shortest TTL among providers that answered. If nothing answered,
+ * keep it only briefly and never serve it stale.
+ * @param {any} payload
+ * @param {any} env
+ * @returns {{freshSec: number, staleSec: number}}
+ */
+function cacheTtls(payload, env) {
+  let overrides = {};
+  try { overrides = env.CACHE_TTLS ? (typeof env.CACHE_TTLS === "string" ? JSON.parse(env.CACHE_TTLS) : env.CACHE_TTLS) : {}; } catch { overrides = {}; }
+  const answered = (payload.providers || []).filter(p => p.status === "ok");
+  if (!answered.length) return { freshSec: CACHE_ERROR_TTL_SEC, staleSec: 0 };
+  const ttl = p => Number(overrides[p.name]) || (PROVIDERS.find(x => x.name === p.name) || {}).ttlSec || DEFAULT_CACHE_TTL[p.kind] || DEFAULT_CACHE_TTL.current;
+  const freshSec = Math.min(...answered.map(ttl));
+  // Partial results are retried soon rather than pinned for a full TTL
+  return { freshSec: payload.degraded ? Math.min(freshSec, CACHE_DEGRADED_TTL_SEC) : freshSec, staleSec: Number(env.CACHE_STALE_SEC) || CACHE_STALE_SEC };
+}
+
+/**
+ * Build an estimate and store it.
+ * @param {EstimateParams} params
+ * @param {any} env
+ * @param {(report: any, items: PriceRow[]) => void} [onSource]  per-provider progress (streaming)
+ * @returns {Promise<CacheEntry>}
+ */
+async function refreshEstimate(params, env, onSource) {
+  const payload = await buildEstimate(params.q, params.sku, env, { market: params.market, currency: params.currency, onSource });
+  const { freshSec, staleSec } = cacheTtls(payload, env);
+  const now = Date.now();
+  const entry = { payload, stored_at: now, fresh_until: now + freshSec * 1000, stale_until: now + (freshSec + staleSec) * 1000 };
+  await cacheWrite(env, params.key, entry);
+  return entry;
+}
+
+/**
+ * Cached estimate with stale-while-revalidate. Stale entries are returned immediately and refreshed
+ * through ctx.waitUntil; `fresh` skips the read entirely.
+ * @param {EstimateParams} params
+ * @param {any} env
+ * @param {any} ctx     Workers ExecutionContext (waitUntil)
+ * @param {boolean} fresh
+ * @returns {Promise<{payload: any, status: "hit"|"stale"|"miss"|"bypass", age: number}>}
+ */
+async function getEstimate(params, env, ctx, fresh) {
+  if (!fresh) {
+    const hit = await cacheRead(env, params.key);
+    if (hit) {
+      const now = Date.now(), age = Math.max(0, Math.floor((now - hit.stored_at) / 1000));
+      if (now < hit.fresh_until) return { payload: hit.payload, status: "hit", age };
+      if (!REFRESHING.has(params.key)) {
+        REFRESHING.add(params.key);
+        const job = coalesce("estimate|" + params.key, () => refreshEstimate(params, env)).catch(() => {}).finally(() => REFRESHING.delete(params.key));
+        if (ctx && ctx.waitUntil) ctx.waitUntil(job);
+      }
+      return { payload: hit.payload, status: "stale", age };
+    }
+  }
+  const entry = await coalesce("estimate|" + params.key, () => refreshEstimate(params, env));
+  return { payload: entry.payload, status: fresh ? "bypass" : "miss", age: 0 };
+}
+
+/* ---------- Estimate --------------------------------------------------- */
+
+/** @typedef {{q: string, sku: string, market: string, currency: string, key: string}} EstimateParams */
+
+/**
+ * Validate /api/estimate query parameters.
+ * @param {URLSearchParams} sp
+ * @param {any} env
+ * @returns {{params?: EstimateParams, error?: Response}}
+ */
+function parseEstimateParams(sp, env) {
+  const raw = (sp.get("query") || "").trim();
+  if (!raw) return { error: json({ error: "Missing query" }, 400) };
+  const gtin = canonicalGtin(raw);
+  const q = gtin || raw; // one spelling per barcode upstream, in the payload and in the cache key
+
+  if (!PROVIDERS.some(p => p.enabled(env, q))) {
+    // Preserve shape; signal config issue
+    return { error: json({ items_current: [], items_sold: [], stats: { current: {}, sold: {}, combined: {} }, note: "EBAY_CLIENT_ID/EBAY_CLIENT_SECRET/ETSY_API_KEY not set" }, 500) };
+  }
+
+  const sku = (sp.get("sku") || "").trim();
+  const market = (sp.get("market") || env.X_EBAY_MARKETPLACE_ID || "EBAY_US").toUpperCase();
+  if (!MARKETS[market]) return { error: json({ error: "Unsupported market", markets: Object.keys(MARKETS) }, 400) };
+  const currency = (sp.get("currency") || MARKETS[market].currency).toUpperCase();
+  if (!fxRates(env)[currency]) return { error: json({ error: "Unsupported currency", currencies: Object.keys(fxRates(env)) }, 400) };
+  return { params: { q, sku, market, currency, key: fixtureScope() + [gtin ? gtinKey(gtin) : q, sku, market, currency].join("|") } };
+}
+
+/**
+ * Rate table (units per USD): FX_RATES overrides/extends the defaults when it parses.
+ * @param {any} env
+ * @returns {Record<string, number>}
+ */
+function fxRates(env) {
+  let extra = {};
+  try { extra = env.FX_RATES ? (typeof env.FX_RATES === "string" ? JSON.parse(env.FX_RATES) : env.FX_RATES) : {}; } catch { extra = {}; }
+  return { ...DEFAULT_FX_RATES, ...extra };
+}
+
+/**
+ * Convert an item's price into the display currency, keeping the listing's own amount and currency.
+ * Items in a currency the rate table doesn't know are excluded from stats rather than guessed.
+ * @param {PriceRow} it
+ * @param {string} display
+ * @param {Record<string, number>} rates
+ */
+function convertItem(it, display, rates) {
+  const from = it.currency || "USD";
+  if (from === display) {
+    it.currency = display;
+    return it;
+  }
+  if (!rates[from] || !rates[display]) {
+    it.excluded_reason = it.excluded_reason || "currency";
+    return it;
+  }
+  const fx = v => Math.round(v / rates[from] * rates[display] * 100) / 100;
+  it.original_price = it.price;
+  it.original_currency = from;
+  it.price = fx(it.price);
+  if (Number.isFinite(it.shipping)) it.shipping = fx(it.shipping);
+  it.currency = display;
+  return it;
+}
+
+/**
+ * Minimum comps a bare GTIN query must return before we stop trying name-based queries.
+ * @param {any} env
+ */
+function minGtinComps(env) {
+  return Math.max(0, Number(env.GTIN_MIN_COMPS) || 5);
+}
+
+/**
+ * Name-based marketplace queries for a catalog Beanie, most specific first:
+ * "Ty Beanie Baby Cleo Orange Tabby Cat", then "Ty Beanie Baby Cleo".
+ * @param {CatalogEntry} entry
+ * @returns {string[]}
+ */
+function expansionQueries(entry) {
+  const { line } = catalogNameParts(entry.name);
+  const full = catalogQuery(entry);
+  const lineQ = searchTokens(line || "Ty Beanie Baby", true).join(" ");
+  const first = searchTokens(catalogNameParts(entry.name).title, true).find(t => !/^[0-9]+$/.test(t));
+  const short = first ? lineQ + " " + first : "";
+  return [full, short].filter((x, i, a) => x && a.indexOf(x) === i);
+}
+
+/**
+ * Which catalog Beanie a GTIN stands for. An explicit sku wins; otherwise the UPC must point at a
+ * single best-scoring entry (Ty reused UPCs, so ties are reported as ambiguous rather than guessed).
+ * @param {string} q
+ * @param {string} sku
+ * @param {any} env
+ * @returns {Promise<{entry: CatalogEntry|null, candidates: number}>}
+ */
+async function resolveCatalogBeanie(q, sku, env) {
+  const catalog = await loadCatalog(env);
+  if (sku) return { entry: catalog.bySku.get(sku) || null, candidates: 1 };
+  const candidates = catalogByUpc(catalog, q);
+  const top = candidates.filter(c => c.match_score === (candidates[0] && candidates[0].match_score));
+  return { entry: top.length === 1 ? top[0] : null, candidates: candidates.length };
+}
+
+/* Relevance: listings that are clearly not the target Beanie are kept in the payload but left out of stats. */
+const RELEVANCE_MIN = 0.5;
+const LINE_WORDS = new Set(["ty", "beanie", "beanies", "baby", "babies", "original", "retired", "rare", "plush"]);
+// Other Ty lines and other plush brands; ignored when the target itself belongs to that line
+const WRONG_LINE_RE = /\b(beanie\s*boos?|boos|beanie\s*budd(?:y|ies)|squish[- ]?a[- ]?boos?|squishmallows?|teenie|flippables?|build[- ]?a[- ]?bear|webkinz|gund|jellycat|funko)\b/i;
+const ACCESSORY_RE = /\b(tag\s*protectors?|protectors?|display\s*(?:case|box)|acrylic|storage\s*(?:case|box)|price\s*guide|collector'?s?\s*guide|empty\s*box|tag\s*only|tags?\s*only|patterns?|costumes?)\b/i;
+
+// The line this app prices; a keyword query or catalog name that names no other line is taken to mean it
+const DEFAULT_LINE = "ty beanie baby";
+
+/**
+ * What listings are scored against: the catalog Beanie's title when we know it, else the keyword query.
+ * The first token is the character name ("Cleo") and carries most of the weight. `line` is the product
+ * line the target belongs to: the catalog's, another line named in the query ("slush beanie boo"), else
+ * DEFAULT_LINE. Null only for a barcode with no catalog entry; then no listing is marked wrong_line.
+ * @param {string} q
+ * @param {CatalogEntry|null} entry
+ * @returns {{name: string, tokens: string[], line: string|null}}
+ */
+function relevanceTarget(q, entry) {
+  let parts;
+  if (entry) {
+    parts = catalogNameParts(entry.name);
+    parts.line = parts.line || DEFAULT_LINE;
+  } else if (isGtinQuery(q)) {
+    parts = { line: null, title: "" };
+  } else {
+    const named = q.match(WRONG_LINE_RE);
+    parts = { line: named ? named[1] : DEFAULT_LINE, title: q.replace(WRONG_LINE_RE, " ") };
+  }
+  const tokens = searchTokens(parts.title).filter(t => !LINE_WORDS.has(t) && !/^[0-9]+$/.test(t));
+  return { name: tokens[0] || "", tokens: tokens.slice(1), line: parts.line == null ? null : parts.line.toLowerCase() };
+}
+
+/**
+ * Score a listing title against the target: 0.6 for the character name, 0.4 spread over the other
+ * name words, then heavy penalties for other product lines and accessories.
+ * @param {string} title
+ * @param {{name: string, tokens: string[], line: string|null}} target
+ * @returns {{relevance: number, excluded_reason: string|null}}
+ */
+function scoreRelevance(title, target) {
+  const words = searchTokens(title);
+  const has = t => words.some(w => tokenScore(t, w) >= 0.7);
+  let relevance = 1, reason = null;
+  if (target.name) {
+    const rest = target.tokens.length ? target.tokens.filter(has).length / target.tokens.length : 1;
+    relevance = (has(target.name) ? 0.6 : 0) + 0.4 * rest;
+    if (relevance < RELEVANCE_MIN) reason = "low_match";
+  }
+  const wrongLine = title.match(WRONG_LINE_RE);
+  if (wrongLine && target.line != null && !target.line.includes(wrongLine[1].toLowerCase().replace(/s$/, ""))) {
+    relevance *= 0.3;
+    reason = reason || "wrong_line";
+  }
+  if (ACCESSORY_RE.test(title)) {
+    relevance *= 0.1;
+    reason = "accessory";
+  }
+  if (!reason && relevance < RELEVANCE_MIN) reason = "low_match";
+  return { relevance: Math.round(relevance * 100) / 100, excluded_reason: reason };
+}
+
+/* Lots: multi-item listings skew the median, so they are priced per unit or excluded (LOT_MODE). */
+const LOT_NUMBER_WORDS = { two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, dozen: 12 };
+const LOT_N = "(\\d{1,3}|" + Object.keys(LOT_NUMBER_WORDS).join("|") + ")";
+const LOT_QTY_RES = [
+  new RegExp("\\b(?:lot|set|bundle|collection|group|box|pack)\\s+of\\s+" + LOT_N + "\\b", "i"),
+  /\((\d{1,3})\)\s*(?:ty\b|beanie|plush|bears?)/i,
+  /\b(\d{1,3})\s*(?:x\s+)?(?:pcs?|pieces?|ct|count)\b/i,
+  new RegExp("\\b" + LOT_N + "[- ]?(?:pack|pk)\\b", "i"),
+  /\b(\d{1,3})\s+(?:ty\s+)?(?:beanie\s*bab(?:y|ies)|beanies|plush(?:es)?|bears)\b/i,
+  // "2x Peace Bear" / "Peace Bear x2": only as a leading or trailing count, so "8 x 6 inches" stays a size
+  /^\s*(\d{1,3})\s?x\s+(?!\d)|\bx\s?(\d{1,3})\)?\s*$/i
+];
+const LOT_WORD_RE = /\b(lot|lots|bundle|bulk|assorted|set of|collection of|wholesale|multi-?pack)\b/i;
+// Lots that say they hold different items: these can't be priced per unit of the target
+const LOT_MIXED_RE = /\b(incl(?:udes?|uding)?\.?|assorted|mixed|various|variety|different|random|misc|others?|and|plus)\b|\s[+&]\s/i;
+
+/**
+ * Detect multi-item listings from the title. `mixed` means the title names or implies several
+ * different items ("incl", "assorted", "Peace bear + Garcia").
+ * @param {string} title
+ * @returns {{is_lot: boolean, lot_size: number|null, mixed: boolean}}
+ */
+function detectLot(title) {
+  const t = String(title || "");
+  const mixed = LOT_MIXED_RE.test(t);
+  for (const re of LOT_QTY_RES) {
+    const m = t.match(re);
+    const raw = m && (m[1] || m[2]);
+    const n = raw ? LOT_NUMBER_WORDS[raw.toLowerCase()] || Number(raw) : 0;
+    if (n >= 2 && n <= 500) return { is_lot: true, lot_size: n, mixed };
+  }
+  // "Peace bear + Garcia": named Beanies joined with "+"
+  const plus = t.split(/\s\+\s/).length;
+  if (plus >= 2) return { is_lot: true, lot_size: plus, mixed: true };
+  if (LOT_WORD_RE.test(t)) return { is_lot: true, lot_size: null, mixed };
+  return { is_lot: false, lot_size: null, mixed: false };
+}
+
+/**
+ * Mark a lot listing. In "per_unit" mode (default) a lot of known size that is all the target Beanie
+ * (not `mixed`, and the title names it) is repriced to price / lot_size (original kept in lot_price;
+ * shipping is split the same way). A lot that doesn't name the target ("Lot of 12 Beanie Babies") counts as
+ * mixed. Mixed lots, lots of unknown size, and every lot in "exclude" mode are left out of stats.
+ * @param {PriceRow} it
+ * @param {string} mode
+ * @param {{name: string}} target
+ */
+function applyLot(it, mode, target) {
+  const { is_lot, lot_size, mixed } = detectLot(it.title);
+  if (!is_lot) return it;
+  it.is_lot = true;
+  it.lot_size = lot_size;
+  const named = !!target.name && searchTokens(it.title).some(w => tokenScore(target.name, w) >= 0.7);
+  if (mode !== "exclude" && lot_size && !mixed && named) {
+    it.lot_price = it.price;
+    it.price = Math.round(it.price / lot_size * 100) / 100;
+    if (Number.isFinite(it.shipping)) it.shipping = Math.round(it.shipping / lot_size * 100) / 100;
+  } else if (!it.excluded_reason) {
+    it.excluded_reason = "lot";
+  }
+  return it;
+}
+
+/* Condition buckets: for Beanies the hang tag drives value, so free-text conditions are folded into these. */
+const CONDITION_BUCKETS = ["nwt", "tag_damaged", "no_tag", "used", "unknown"];
+const NO_TAG_RE = /\b(no\s+(?:hang\s*|swing\s*)?tags?|without\s+(?:hang\s*|swing\s*)?tags?|tagless|missing\s+(?:hang\s*|swing\s*)?tags?|tags?\s+(?:missing|removed|cut\s*off|cut))\b/i;
+const TAG_DAMAGED_RE = /\b(creased?|bent|torn|ripped|crinkled|damaged|worn|faded|clipped|price\s*sticker|sticker\s*residue)\s+(?:hang\s*|swing\s*)?tags?\b|\btags?\s+(?:has\s+|have\s+|is\s+)?(?:creased?|crease|bent|torn|ripped|damaged?|damage|wear|worn|faded)\b/i;
+const NWT_RE = /\b(nwt|mwmt|mwbmt|mint\s+with\s+(?:both\s+)?mint\s+tags?|new\s+with\s+tags?|mint\s+tags?|perfect\s+tags?|excellent\s+tags?)\b/i;
+const USED_RE = /\b(used|pre-?owned|pre\s+owned|loved|played\s+with)\b/i;
+
+/**
+ * Fold the listing's condition text and title into a tag-condition bucket.
+ * Precedence: no_tag > tag_damaged > nwt > used; anything else is unknown.
+ * @param {string|undefined} condition
+ * @param {string} title
+ * @returns {"nwt"|"tag_damaged"|"no_tag"|"used"|"unknown"}
+ */
+function conditionBucket(condition, title) {
+  const text = String(title || "") + " | " + String(condition || "");
+  if (NO_TAG_RE.test(text)) return "no_tag";
+  if (TAG_DAMAGED_RE.test(text)) return "tag_damaged";
+  if (NWT_RE.test(text) || /^\s*(brand\s+)?new\b/i.test(String(condition || ""))) return "nwt";
+  if (USED_RE.test(text)) return "used";
+  return "unknown";
+}
+
+/**
+ * Stable identity for de-duplicating the same listing returned by two queries.
+ * @param {PriceRow} it
+ */
+function itemKey(it) {
+  return it.url || it.source + "|" + it.title + "|" + it.price;
+}
+
+/**
+ * Run the providers for a query and, when a bare GTIN comes back thin, retry with name-based
+ * queries for the Beanie the catalog says it is. Comps from every query are merged (deduped).
+ * Items are scored as each provider answers; `onSource` (streaming) gets every provider attempt with
+ * its report and the items it added.
+ * @param {string} q
+ * @param {string} sku
+ * @param {any} env
+ * @param {SearchOpts & {currency: string, onSource?: (report: any, items: PriceRow[]) => void}} opts
+ */
+async function buildEstimate(q, sku, env, opts) {
+  // The Beanie being priced: the caller's sku, or what the catalog says a GTIN query is
+  let resolved = { entry: null, candidates: 0 }, catalogNote = "";
+  if (sku || isGtinQuery(q)) {
+    try {
+      resolved = await resolveCatalogBeanie(q, sku, env);
+    } catch (e) {
+      catalogNote = "Catalog error: " + (e && e.message ? e.message : String(e));
+    }
+  }
+
+  const target = relevanceTarget(q, resolved.entry);
+  const lotMode = env.LOT_MODE === "exclude" ? "exclude" : "per_unit";
+  const rates = fxRates(env);
+  const score = it => applyLot(convertItem(Object.assign(it, scoreRelevance(it.title, target), { condition_bucket: conditionBucket(it.condition, it.title) }), opts.currency, rates), lotMode, target);
+  // Landed price: item plus shipping; unknown shipping (calculated, or not reported) counts as 0
+  const land = it => Object.assign(it, { total: Math.round((it.price + (Number.isFinite(it.shipping) ? it.shipping : 0)) * 100) / 100 });
+  const prepare = it => land(score(it));
+
+  // Expansion runs only keep comps not already seen; `kept` remembers which survived the dedupe
+  let seen = null;
+  const kept = new WeakSet();
+  const runOpts = query => ({
+    market: opts.market, currency: opts.currency, prepare,
+    onOutcome: o => {
+      const items = (o.items || []).filter(it => !seen || (!seen.has(itemKey(it)) && seen.add(itemKey(it))));
+      for (const it of items) kept.add(it);
+      if (opts.onSource) opts.onSource({ ...providerReport(o), count: items.length, query }, items);
+    },
+  });
+
+  const first = await runProviders(q, env, runOpts(q));
+  let { items_current, items_sold, notes, providers } = first;
+  if (catalogNote) notes.push(catalogNote);
+  providers = providers.map(p => ({ ...p, query: q }));
+  const queries = [{ query: q, count: items_current.length + items_sold.length }];
+  let query_used = q;
+  // Only rows that will count in stats decide whether a UPC search needs the name-based fallback
+  const counted = () => items_current.concat(items_sold).filter(i => !i.excluded_reason).length;
+
+  if (isGtinQuery(q) && counted() < minGtinComps(env)) {
+    if (!resolved.entry && resolved.candidates > 1) notes.push("UPC matches " + resolved.candidates + " catalog Beanies; pass sku to narrow");
+
+    if (resolved.entry) {
+      seen = new Set(items_current.concat(items_sold).map(itemKey));
+      for (const alt of expansionQueries(resolved.entry)) {
+        const run = await runProviders(alt, env, runOpts(alt));
+        const cur = run.items_current.filter(it => kept.has(it)), sold = run.items_sold.filter(it => kept.has(it));
+        queries.push({ query: alt, count: cur.length + sold.length });
+        providers = providers.concat(run.providers.map(p => ({ ...p, query: alt })));
+        if (cur.length + sold.length) {
+          items_current = items_current.concat(cur);
+          items_sold = items_sold.concat(sold);
+          notes = notes.concat(run.notes.map(n => n + " [" + alt + "]"));
+          // Credit the query that brought in the most comps
+          if (cur.length + sold.length > queries.find(x => x.query === query_used).count) query_used = alt;
         }
+        if (counted() >= minGtinComps(env)) break;
       }
+    }
+  }
+
+  // Stats only count relevant rows; excluded ones stay in the lists with their reason
+  const prices = arr => arr.filter(i => !i.excluded_reason).map(i => i.price);
+  const totals = arr => arr.filter(i => !i.excluded_reason).map(i => i.total);
+  const stats_current = summarize(prices(items_current));
+  const stats_sold = summarize(prices(items_sold));
+  const stats_combined = summarize(prices(items_current.concat(items_sold)));
+  const landed = { current: summarize(totals(items_current)), sold: summarize(totals(items_sold)), combined: summarize(totals(items_current.concat(items_sold))) };
+  const by_condition = {};
+  for (const b of CONDITION_BUCKETS) by_condition[b] = summarize(prices(items_current.concat(items_sold).filter(i => i.condition_bucket === b)));
+  const payload = { items_current, items_sold, stats: { current: stats_current, sold: stats_sold, combined: stats_combined, by_condition, landed }, note: notes.join(" | "), providers, query_used, queries, market: opts.market, currency: opts.currency };
+  // Partial when a provider group came up empty because of an error, timeout, rate limit or open breaker
+  // (a failed provider whose fallback answered doesn't count)
+  const groupOf = name => (PROVIDERS.find(x => x.name === name) || {}).group || name;
+  const answered = new Set(providers.filter(p => p.status === "ok").map(p => groupOf(p.name)));
+  const degraded = [...new Set(providers.filter(p => !["ok", "skipped", "disabled"].includes(p.status) && !answered.has(groupOf(p.name))).map(p => p.name))];
+  payload.degraded = degraded.length > 0;
+  if (payload.degraded) payload.degraded_providers = degraded;
+  if (sku) {
+    // Caller picked an exact Beanie (typeahead/picker); echo its catalog entry so the UI can show what was priced
+    payload.beanie = resolved.entry;
+  }
+  return payload;
+}
+
+/* ---------- Estimate API v2 ------------------------------------------- */
+
+// Status -> code for provider reports cached before codes existed
+const STATUS_CODES = { rate_limited: "RATE_LIMITED", timeout: "TIMEOUT", circuit_open: "CIRCUIT_OPEN", error: "UPSTREAM_ERROR" };
+
+/**
+ * @typedef {Object} EstimateSource
+ * @property {string} provider
+ * @property {string} label
+ * @property {"current"|"sold"} kind
+ * @property {string} query
+ * @property {"ok"|"error"|"timeout"|"rate_limited"|"circuit_open"|"skipped"|"disabled"} status
+ * @property {number|null} ms
+ * @property {number} count
+ * @property {{code: string, message: string}|null} error
+ */
+
+/**
+ * Reshape a v1 estimate payload into the v2 contract: items grouped under `items`, and one structured
+ * `sources` entry per provider run instead of the joined `note` string. See OPENAPI for the schema.
+ * @param {any} payload
+ * @param {{status: string, age: number}} cache
+ */
+function estimateV2(payload, cache) {
+  /** @type {EstimateSource[]} */
+  const sources = (payload.providers || []).map(p => {
+    const provider = PROVIDERS.find(x => x.name === p.name);
+    const code = p.code || STATUS_CODES[p.status] || null;
+    return {
+      provider: p.name, label: provider ? provider.label : p.name, kind: p.kind, query: p.query || payload.query_used,
+      status: p.status, ms: Number.isFinite(p.ms) ? p.ms : null, count: p.count || 0,
+      error: code ? { code, message: p.error || (p.status === "disabled" ? "not configured" : p.status) } : null,
+    };
+  });
+  const out = {
+    api_version: 2,
+    query: (payload.queries && payload.queries[0] && payload.queries[0].query) || payload.query_used,
+    query_used: payload.query_used, queries: payload.queries || [],
+    market: payload.market, currency: payload.currency,
+    items: { current: payload.items_current || [], sold: payload.items_sold || [] },
+    stats: payload.stats,
+    sources,
+    degraded: !!payload.degraded, degraded_sources: payload.degraded_providers || [],
+    cache,
+  };
+  if (payload.beanie !== undefined) out.beanie = payload.beanie;
+  return out;
+}
+
+/* ---------- Streaming estimate ----------------------------------------- */
+
+/**
+ * Frame one stream event as an NDJSON line or an SSE message.
+ * @param {"ndjson"|"sse"} format
+ * @param {string} type
+ * @param {any} data
+ */
+function streamFrame(format, type, data) {
+  const body = JSON.stringify({ type, ...data });
+  return format === "sse" ? `event: ${type}\ndata: ${body}\n\n` : body + "\n";
+}
+
+/**
+ * GET /api/estimate/stream — the v2 estimate as a stream of events, so the UI can render comps while slow
+ * providers are still out:
+ *   start   { query, market, currency }
+ *   source  { source: EstimateSource, items }   one per provider attempt, as it settles (items already scored)
+ *   done    v2 payload without `items` (stats, sources, degraded, cache, …)
+ *   error   { error }
+ * NDJSON by default; SSE with `Accept: text/event-stream` or `format=sse`. A cached estimate (unless
+ * ?fresh=1) is replayed as one `source` event per provider. Misses are built here rather than through
+ * the coalesced path so progress can be reported, then cached as usual.
+ * @param {Request} req
+ * @param {EstimateParams} params
+ * @param {any} env
+ * @param {any} ctx
+ * @param {boolean} fresh
+ * @param {Record<string,string>} headers
+ */
+function handleEstimateStream(req, params, env, ctx, fresh, headers) {
+  const sse = (new URL(req.url).searchParams.get("format") || "") === "sse" || (req.headers.get("accept") || "").includes("text/event-stream");
+  const format = sse ? "sse" : "ndjson";
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter(), enc = new TextEncoder();
+  const send = (type, data) => writer.write(enc.encode(streamFrame(format, type, data))).catch(() => {});
+  const label = name => (PROVIDERS.find(x => x.name === name) || {}).label || name;
 
-      // SOLD always via Finding
-      if (env.EBAY_CLIENT_ID) {
-        try {
-          const sold = await searchFindingSold(q, env.EBAY_CLIENT_ID);
-          items_sold = sold.items || [];
-          if (sold.note) notes.push(sold.note);
-        } catch (e) {
-          if (e.rateLimited) notes.push("Finding sold: rate-limited");
-          else notes.push("Finding sold error: " + (e && e.message ? e.message : String(e)));
+  const job = (async () => {
+    await send("start", { query: params.q, market: params.market, currency: params.currency });
+    let entry = null, status = fresh ? "bypass" : "miss";
+    if (!fresh) {
+      entry = await cacheRead(env, params.key);
+      if (entry) {
+        status = Date.now() < entry.fresh_until ? "hit" : "stale";
+        const v2 = estimateV2(entry.payload, { status, age: 0 });
+        // Items don't record which query found them, so expansion runs of one provider replay as a single event
+        const replayed = new Set();
+        for (const src of v2.sources.filter(x => x.status === "ok")) {
+          if (replayed.has(src.provider)) continue;
+          replayed.add(src.provider);
+          const items = v2.items.current.concat(v2.items.sold).filter(it => it.source === src.provider);
+          if (items.length) await send("source", { source: { ...src, count: items.length }, items });
+        }
+        if (status === "stale" && !REFRESHING.has(params.key)) {
+          REFRESHING.add(params.key);
+          ctx.waitUntil(coalesce("estimate|" + params.key, () => refreshEstimate(params, env)).catch(() => {}).finally(() => REFRESHING.delete(params.key)));
         }
       }
+    }
+    if (!entry) {
+      entry = await refreshEstimate(params, env, (report, items) => {
+        const code = report.code || STATUS_CODES[report.status] || null;
+        const source = {
+          provider: report.name, label: label(report.name), kind: report.kind, query: report.query, status: report.status,
+          ms: Number.isFinite(report.ms) ? report.ms : null, count: report.count, error: code ? { code, message: report.error || report.status } : null,
+        };
+        send("source", { source, items });
+      });
+    }
+    const age = Math.max(0, Math.floor((Date.now() - entry.stored_at) / 1000));
+    const { items, ...done } = estimateV2(entry.payload, { status, age });
+    await send("done", done);
+  })().catch(e => send("error", { error: e && e.message ? e.message : String(e) })).finally(() => writer.close().catch(() => {}));
+  if (ctx && ctx.waitUntil) ctx.waitUntil(job);
+
+  return new Response(readable, {
+    headers: { ...headers, "content-type": sse ? "text/event-stream; charset=utf-8" : "application/x-ndjson; charset=utf-8", "cache-control": "no-store" },
+  });
+}
 
-      // Stats are computed the same way
-      const stats_current = summarize(items_current.map(i => i.price));
-      const stats_sold = summarize(items_sold.map(i => i.price));
-      const stats_combined = summarize(items_current.concat(items_sold).map(i => i.price));
-      const payload = { items_current, items_sold, stats: { current: stats_current, sold: stats_sold, combined: stats_combined }, note: notes.join(" | ") };
+/* ---------- Batch estimate --------------------------------------------- */
 
-      CACHE.set(q, { exp: now + TTL_MS, payload });
-      return json(payload);
+const BATCH_MAX = 50;
+const BATCH_CONCURRENCY = 4;
+
+/**
+ * Map with at most `limit` calls in flight; results keep input order.
+ * @template T, R
+ * @param {T[]} list
+ * @param {number} limit
+ * @param {(x: T, i: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function mapLimit(list, limit, fn) {
+  const out = new Array(list.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < list.length) {
+      const i = next++;
+      out[i] = await fn(list[i], i);
     }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, list.length) }, worker));
+  return out;
+}
+
+/**
+ * One batch line as a query/sku pair. Barcodes are canonicalized (canonicalGtin); a GTIN the catalog pins to a
+ * single Beanie is priced by name + sku, the same as picking it in the app.
+ * @param {string|{query?: string, sku?: string}} raw
+ * @param {any} env
+ * @returns {Promise<{input: string, query: string, sku: string, name?: string, candidates?: number}|null>}
+ */
+async function batchLine(raw, env) {
+  const input = String((raw && typeof raw === "object" ? raw.query : raw) || "").trim();
+  const sku = String((raw && typeof raw === "object" && raw.sku) || "").trim();
+  if (!input && !sku) return null;
+  const query = canonicalGtin(input) || (/^[0-9][0-9\s-]*$/.test(input) ? input.replace(/\D/g, "") : input.replace(/\s+/g, " "));
+  if (!sku && !isGtinQuery(query)) return { input, query, sku };
+  try {
+    const { entry, candidates } = await resolveCatalogBeanie(query, sku, env);
+    if (entry) return { input, query: catalogQuery(entry), sku: entry.sku, name: entry.name };
+    return { input, query: query || sku, sku, candidates };
+  } catch {
+    return { input, query: query || sku, sku };
+  }
+}
+
+/**
+ * POST /api/estimate/batch { items: (string | { query, sku })[], market?, currency? }
+ * Lines are deduped (repeats become `quantity`) and charged one rate-limit token for each that the
+ * cache can't answer fresh, so a batch buys no more upstream calls than single lookups would; then
+ * they are priced through the estimate cache with at most
+ * BATCH_CONCURRENCY in flight, and valued together: `totals` sums each priced line's median, P25 and
+ * P75 (combined comps) times its quantity.
+ * @param {Request} req
+ * @param {any} env
+ * @param {any} ctx
+ */
+async function handleEstimateBatch(req, env, ctx) {
+  let body;
+  try { body = await req.json(); } catch { return json({ error: "Invalid JSON" }, 400); }
+  const raw = body && Array.isArray(body.items) ? body.items : null;
+  if (!raw || !raw.length) return json({ error: "Expected { items: [...] }" }, 400);
+  if (raw.length > BATCH_MAX) return json({ error: `At most ${BATCH_MAX} items per batch` }, 400);
+
+  const lines = (await Promise.all(raw.map(r => batchLine(r, env)))).filter(Boolean);
+  const groups = new Map();
+  for (const line of lines) {
+    const key = line.query.toLowerCase() + "|" + line.sku;
+    const g = groups.get(key);
+    if (g) g.quantity += 1;
+    else groups.set(key, { ...line, quantity: 1 });
+  }
+  const unique = [...groups.values()];
+
+  const market = String(body.market || ""), currency = String(body.currency || "");
+  for (const line of unique) {
+    const sp = new URLSearchParams({ query: line.query });
+    if (line.sku) sp.set("sku", line.sku);
+    if (market) sp.set("market", market);
+    if (currency) sp.set("currency", currency);
+    Object.assign(line, parseEstimateParams(sp, env));
+  }
+  const cached = await Promise.all(unique.map(line => line.params ? cacheRead(env, line.params.key) : null));
+  const misses = unique.filter((line, i) => line.params && !(cached[i] && Date.now() < cached[i].fresh_until)).length;
+
+  const limited = await rateLimit(req, env, ctx, misses);
+  if (limited.response) return limited.response;
+
+  const items = await mapLimit(unique, BATCH_CONCURRENCY, async line => {
+    const out = { input: line.input, query: line.query, quantity: line.quantity };
+    if (line.sku) out.sku = line.sku;
+    if (line.name) out.name = line.name;
+    if (line.candidates > 1) out.candidates = line.candidates;
+    const { params, error } = line;
+    if (error) return { ...out, status: "error", error: (await error.json()).error || "invalid" };
+    try {
+      const { payload, status } = await getEstimate(params, env, ctx, false);
+      const st = payload.stats.combined;
+      return {
+        ...out, status: "ok", cache: status, market: payload.market, currency: payload.currency,
+        stats: { count: st.count, median: st.median, p25: st.p25, p75: st.p75 },
+        query_used: payload.query_used, degraded: !!payload.degraded,
+      };
+    } catch (e) {
+      return { ...out, status: "error", error: e && e.message ? e.message : String(e) };
+    }
+  });
+
+  const priced = items.filter(it => it.status === "ok" && it.stats.count > 0);
+  const total = k => Math.round(priced.reduce((sum, it) => sum + it.stats[k] * it.quantity, 0) * 100) / 100;
+  const first = items.find(it => it.currency);
+  return json({
+    market: first ? first.market : market || null,
+    currency: first ? first.currency : currency || null,
+    count: lines.length, unique: unique.length, items,
+    totals: {
+      median: total("median"), p25: total("p25"), p75: total("p75"),
+      quantity: priced.reduce((n, it) => n + it.quantity, 0),
+      unpriced: items.filter(it => !priced.includes(it)).reduce((n, it) => n + it.quantity, 0),
+    },
+  }, 200, limited.headers);
+}
+
+export default {
+  async fetch(req, env, ctx) {
+    const url = new URL(req.url);
+
+    FIXTURES = fixturesScenario(env);
+    if (FIXTURES) {
+      if (!FIXTURE_SCENARIOS[FIXTURES]) return json({ error: "Unknown FIXTURES scenario", scenarios: Object.keys(FIXTURE_SCENARIOS) }, 500);
+      // Recorded responses need no real credentials; placeholders switch every provider on
+      env = { ...env, EBAY_CLIENT_ID: env.EBAY_CLIENT_ID || "fixtures", EBAY_CLIENT_SECRET: env.EBAY_CLIENT_SECRET || "fixtures", ETSY_API_KEY: env.ETSY_API_KEY || "fixtures" };
+    }
+
+    if (url.pathname === "/api/estimate") {
+      const limited = await rateLimit(req, env, ctx);
+      if (limited.response) return limited.response;
+      const { params, error } = parseEstimateParams(url.searchParams, env);
+      if (error) return error;
+      const { payload, status, age } = await getEstimate(params, env, ctx, url.searchParams.get("fresh") === "1");
+      return json(payload, 200, { ...limited.headers, "x-cache-status": status, "age": String(age) });
+    }
+
+    if (url.pathname === "/api/estimate/batch") {
+      if (req.method !== "POST") return json({ error: "Use POST" }, 405, { allow: "POST" });
+      return handleEstimateBatch(req, env, ctx);
+    }
+
+    if (url.pathname === "/api/estimate/stream") {
+      const limited = await rateLimit(req, env, ctx);
+      if (limited.response) return limited.response;
+      const { params, error } = parseEstimateParams(url.searchParams, env);
+      if (error) return error;
+      return handleEstimateStream(req, params, env, ctx, url.searchParams.get("fresh") === "1", limited.headers);
+    }
+
+    if (url.pathname === "/api/v2/estimate") {
+      const limited = await rateLimit(req, env, ctx);
+      if (limited.response) return limited.response;
+      const { params, error } = parseEstimateParams(url.searchParams, env);
+      if (error) return error;
+      const { payload, status, age } = await getEstimate(params, env, ctx, url.searchParams.get("fresh") === "1");
+      return json(estimateV2(payload, { status, age }), 200, { ...limited.headers, "x-cache-status": status, "age": String(age) });
+    }
+    if (url.pathname === "/api/v2/openapi.json") return json(OPENAPI, 200, { "cache-control": "public, max-age=3600" });
+
+    if (url.pathname === "/api/catalog" || url.pathname.startsWith("/api/catalog/")) return handleCatalog(url, env);
 
-    if (url.pathname === "/log" && req.method === "POST") return new Response("ok");
+    if (url.pathname === "/log" && req.method === "POST") return handleLogIngest(req, env);
+    if (url.pathname === "/api/logs") return handleLogRead(req, url, env);
     if (env.ASSETS && env.ASSETS.fetch) return env.ASSETS.fetch(req);
     return new Response("Not Found", { status: 404 });
   }